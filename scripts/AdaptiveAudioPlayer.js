@@ -1,12 +1,97 @@
 import { MODULE_ID, debug } from "./settings.js";
+import { getSoundLayers, hasAdaptiveLayers, normalizeLayerChanges } from "./layers.js";
+import { evaluateCurve, normalizeCurveChanges, resolveMixCurve } from "./mixCurves.js";
+import { SyncedLayerGroup, ScheduledLayer, loadLayerBuffer } from "./SyncedLayerGroup.js";
+import { IntensitySync } from "./socket.js";
+import { syncIntensitySliders } from "./sidebarIntensity.js";
+import { DEFAULT_CHANNEL, resolveChannel } from "./channels.js";
+import { CombatIntensity } from "./combatIntensity.js";
+import { TriggerRules } from "./triggerRules.js";
+import { SceneAudio } from "./sceneAudio.js";
+import { ProximityIntensity } from "./proximityIntensity.js";
+import { IntensityAutomation } from "./automation.js";
+import { refreshAmbientSounds } from "./ambientSounds.js";
+import { API_HOOKS } from "./api.js";
+
+/**
+ * Layer keys backed by the original per-layer custom volume settings
+ */
+const LEGACY_CUSTOM_VOLUME_SETTINGS = {
+    high: "customHighVolume",
+    mid: "customMidVolume",
+    low: "customLowVolume"
+};
+
+/**
+ * Crossfade window (ms) when swapping a drifted layer for a freshly aligned instance
+ */
+const RESYNC_CROSSFADE_MS = 250;
+
+/**
+ * Easing curves for intensity fades, mapping progress (0-1) to fade position (0-1)
+ */
+export const FADE_EASINGS = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => 1 - (1 - t) * (1 - t),
+    easeInOut: (t) => t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2
+};
+
+/**
+ * Time constant (ms) clients use to glide toward mix values received from the GM
+ */
+const REMOTE_SMOOTHING_MS = 80;
+
+/**
+ * Decay curves for intensity impulses, mapping decay progress (0-1) to the share of the impulse left (1-0)
+ * Labels are localization keys.
+ */
+export const IMPULSE_CURVES = {
+    linear: {
+        label: `${MODULE_ID}.impulseCurves.linear`,
+        gain: (t) => 1 - t
+    },
+    exponential: {
+        label: `${MODULE_ID}.impulseCurves.exponential`,
+        gain: (t) => (Math.exp(-5 * t) - Math.exp(-5)) / (1 - Math.exp(-5))
+    },
+    smooth: {
+        label: `${MODULE_ID}.impulseCurves.smooth`,
+        gain: (t) => (1 + Math.cos(t * Math.PI)) / 2
+    }
+};
+
+/**
+ * Rise time (ms) of an impulse, so a spike does not click
+ */
+const IMPULSE_ATTACK_MS = 100;
+
+/**
+ * Gain curves for crossfades between consecutive sounds
+ * Each maps progress (0-1) to the incoming sound's gain; the outgoing sound uses curve(1 - t).
+ */
+export const CROSSFADE_CURVES = {
+    linear: {
+        label: "Linear",
+        gain: (t) => t
+    },
+    equalPower: {
+        label: "Equal Power",
+        gain: (t) => Math.sin(t * Math.PI / 2)
+    },
+    sCurve: {
+        label: "S-Curve",
+        gain: (t) => t * t * (3 - 2 * t)
+    }
+};
 
 /**
  * Manages synchronized playback of adaptive audio playlists
- * Each sound in an adaptive playlist can have dual intensity tracks
+ * Each sound in an adaptive playlist carries an ordered list of layers (lowest first)
  */
 export class AdaptiveAudioPlayer {
     constructor() {
-        // Map of soundId -> {lowSound, highSound, sound}
+        // Map of soundId -> {sound, layers: [{key, name, path, sound}]}
         this.playingSounds = new Map();
         
         // Preloaded audio cache: path -> true (marks as cached)
@@ -15,23 +100,42 @@ export class AdaptiveAudioPlayer {
         // Track sounds currently being loaded to prevent race conditions
         this.loadingSounds = new Set();
         
-        // Global intensity (0.0 to 1.0)
+        // Intensity per channel (0.0 to 1.0), the default channel is the original global intensity
+        this.intensities = {};
+        for (const [channel, value] of Object.entries(game.settings.get(MODULE_ID, "channelIntensities") ?? {})) {
+            this.intensities[channel] = value / 100;
+        }
         this.intensity = game.settings.get(MODULE_ID, "currentIntensity") / 100;
         this.masterVolume = game.settings.get(MODULE_ID, "masterVolume") / 100;
 
-        // Custom Mix state
+        // Custom Mix state (layer key -> volume)
         this.customMixEnabled = game.settings.get(MODULE_ID, "customMixEnabled");
-        this.customHighVolume = game.settings.get(MODULE_ID, "customHighVolume");
-        this.customMidVolume = game.settings.get(MODULE_ID, "customMidVolume");
-        this.customLowVolume = game.settings.get(MODULE_ID, "customLowVolume");
+        this.customVolumes = { ...game.settings.get(MODULE_ID, "customLayerVolumes") };
+        for (const [key, settingKey] of Object.entries(LEGACY_CUSTOM_VOLUME_SETTINGS)) {
+            this.customVolumes[key] = game.settings.get(MODULE_ID, settingKey);
+        }
         
         // Combat integration
         this.preCombatIntensity = null; // Store intensity before combat
         this.userOverrideDuringCombat = false; // Track if user manually changed slider during combat
-        this.fadeInterval = null; // For smooth fading
+        this.combatIntensity = new CombatIntensity(this); // Dynamic (formula-driven) combat intensity
+        this.triggerRules = new TriggerRules(this); // GM-configured event -> action rules, incl. combat start/end
+        this.sceneAudio = new SceneAudio(this); // Per-scene music, applied on scene activation
+        this.proximityIntensity = new ProximityIntensity(this); // Intensity from token distances, outside combat
+        this.automation = new IntensityAutomation(this); // Recorded intensity/mix envelopes, replayed with their sound
+        this.fades = new Map(); // channel -> {fade, interval} for envelopes run by fadeTo
+
+        // Impulses: short spikes added on top of each channel's baseline intensity
+        this.impulses = [];
+        this.impulseInterval = null;
         
         // Drift monitoring
         this.driftMonitorInterval = null;
+
+        // Live mix changes from the GM, approached smoothly
+        this.mixTargets = { intensities: {}, volumes: {} };
+        this.mixSmoothingInterval = null;
+        this.sync = new IntensitySync(this);
         
         // Track paths for quick test mode (legacy)
         this.lowTrackPath = game.settings.get(MODULE_ID, "lowTrackPath");
@@ -41,17 +145,71 @@ export class AdaptiveAudioPlayer {
         
         // Set up playlist monitoring hooks
         this._setupHooks();
+
+        // Adaptive AmbientSounds synced before the player existed only played their top layer
+        refreshAmbientSounds();
         
         // Preload all adaptive sounds on ready
         if (game.ready) {
+            this._restoreFade();
             this._restorePlayback();
         } else {
             Hooks.once("ready", () => {
+                this._restoreFade();
                 this._restorePlayback();
             });
         }
     }
 
+    /**
+     * Whether layers are decoded and scheduled on the shared AudioContext clock
+     * (instead of started as independent foundry.audio.Sound instances)
+     * @type {boolean}
+     */
+    get useScheduledPlayback() {
+        return game.settings.get(MODULE_ID, "playbackEngine") === "scheduled";
+    }
+
+    /**
+     * Intensity of the default channel
+     * @type {number}
+     */
+    get intensity() {
+        return this.getIntensity(DEFAULT_CHANNEL);
+    }
+
+    set intensity(value) {
+        this.intensities[DEFAULT_CHANNEL] = value;
+    }
+
+    /**
+     * Get the baseline intensity of a channel (what the sliders, fades and combat automation set)
+     * @param {string} [channel] - Channel id, defaults to the default channel
+     * @returns {number} - Value between 0.0 and 1.0 (channels never set start at 0.5)
+     */
+    getIntensity(channel = DEFAULT_CHANNEL) {
+        return this.intensities[channel] ?? 0.5;
+    }
+
+    /**
+     * Get the intensity a channel is mixed at: its baseline plus any running impulses
+     * @param {string} [channel] - Channel id, defaults to the default channel
+     * @returns {number} - Value between 0.0 and 1.0
+     */
+    getEffectiveIntensity(channel = DEFAULT_CHANNEL) {
+        return Math.min(1, this.getIntensity(channel) + this.getImpulseLevel(channel));
+    }
+
+    /**
+     * Channels bound by the sounds currently playing
+     * @returns {string[]}
+     */
+    getActiveChannels() {
+        const channels = new Set();
+        for (const entry of this.playingSounds.values()) channels.add(resolveChannel(entry.sound));
+        return [...channels];
+    }
+
     /**
      * Restore playback for sounds that should be playing (e.g. after refresh)
      * @private
@@ -65,9 +223,10 @@ debug("Restoring playback...");
             
             for (const sound of playlist.sounds) {
                 // If the sound is supposed to be playing but isn't tracked by us
+                // Join at the position everyone else is hearing, from the recorded start time
                 if (sound.playing && !this.playingSounds.has(sound.id)) {
                     debug(`Resuming playback for: ${sound.name}`);
-                    await this._playAdaptiveSound(sound);
+                    await this._playAdaptiveSound(sound, { restore: true });
                 }
             }
         }
@@ -85,6 +244,10 @@ debug("Restoring playback...");
         Hooks.on("preUpdatePlaylistSound", (sound, changes, options, userId) => {
             debug("*** preUpdatePlaylistSound FIRED ***", sound.name, changes);
             
+            // The config form submits the layer list and mix curve as JSON - store them as real data
+            normalizeLayerChanges(changes);
+            normalizeCurveChanges(changes);
+
             // Don't block our own internal updates
             if (options?.adaptiveAudioInternal) {
                 debug("Allowing internal update for:", sound.name);
@@ -96,11 +259,8 @@ debug("Restoring playback...");
             
             if (!isAdaptive) return;
             
-            const midPath = sound.getFlag(MODULE_ID, "midIntensityPath");
-            const lowPath = sound.getFlag(MODULE_ID, "lowIntensityPath");
-            
             // Not a configured adaptive sound if it doesn't have at least one alternative track
-            if (!midPath && !lowPath) return;
+            if (!hasAdaptiveLayers(sound)) return;
             
             // If this is an adaptive sound trying to play
             if (changes.playing === true) {
@@ -113,15 +273,23 @@ debug("Restoring playback...");
                 // Mark that we need to play this sound
                 options.adaptiveAudioPlay = true;
             }
-            // If this is an adaptive sound trying to stop
+            // If this is an adaptive sound trying to stop or pause
             else if (changes.playing === false) {
                 debug("Blocking Foundry stop for adaptive sound:", sound.name);
                 
                 // Prevent Foundry from trying to stop (it's not playing it anyway)
                 delete changes.playing;
                 
-                // Mark that we need to stop this sound
-                options.adaptiveAudioStop = true;
+                // Foundry pauses by recording a pausedTime, and stops by clearing it
+                if ("pausedTime" in changes && changes.pausedTime !== null) {
+                    // Native playback never ran, so store the position of our own layers instead
+                    const position = this.getSoundPosition(sound.id);
+                    changes.pausedTime = position ?? (Number.isFinite(changes.pausedTime) ? changes.pausedTime : 0);
+                    options.adaptiveAudioPause = true;
+                } else {
+                    // Mark that we need to stop this sound
+                    options.adaptiveAudioStop = true;
+                }
             }
         });
 
@@ -129,6 +297,9 @@ debug("Restoring playback...");
 
         // CRITICAL: Block playlist from playing adaptive sounds BEFORE they start
         Hooks.on("preUpdatePlaylist", (playlist, changes, options, userId) => {
+            // The config form submits the mix curve as JSON - store it as an object
+            normalizeCurveChanges(changes);
+
             const isAdaptive = playlist.getFlag(MODULE_ID, "isAdaptive");
             if (!isAdaptive) return;
             
@@ -141,10 +312,8 @@ debug("Restoring playback...");
                 for (const soundChange of changes.sounds) {
                     if (soundChange.playing === true) {
                         const sound = playlist.sounds.get(soundChange._id);
-                        const midPath = sound?.getFlag(MODULE_ID, "midIntensityPath");
-                        const lowPath = sound?.getFlag(MODULE_ID, "lowIntensityPath");
                         
-                        if (midPath || lowPath) {
+                        if (hasAdaptiveLayers(sound)) {
                             debug(`BLOCKING sound from playing in preUpdate: ${sound.name}`);
                             // Prevent Foundry from playing this sound
                             soundChange.playing = false;
@@ -176,7 +345,7 @@ debug("Restoring playback...");
             // If we blocked the playing update in preUpdate, trigger our playback now
             if (isAdaptive && options.adaptiveAudioPlay) {
                 debug(`Starting adaptive playback for: ${sound.name}`);
-                this._playAdaptiveSound(sound);
+                this._playAdaptiveSound(sound, { transition: options.adaptiveAudioTransition });
             }
 
             // CRITICAL: Ensure native playback is muted for adaptive sounds
@@ -195,6 +364,12 @@ debug("Restoring playback...");
                 debug(`Stopping adaptive playback for: ${sound.name}`);
                 this._stopAdaptiveSound(sound.id);
             }
+
+            // Pause keeps the loaded layers, the position is stored on the document
+            if (isAdaptive && options.adaptiveAudioPause) {
+                debug(`Pausing adaptive playback for: ${sound.name}`);
+                this._pauseAdaptiveSound(sound.id);
+            }
             
             // Also handle via the old method
             this._handleSoundUpdate(sound, changes);
@@ -212,16 +387,23 @@ debug("Restoring playback...");
         Hooks.on("preCreatePlaylistSound", (sound, data, options, userId) => {
             const playlist = sound.parent;
             const isAdaptive = playlist?.getFlag(MODULE_ID, "isAdaptive");
+
+            // The config form submits the layer list and mix curve as JSON - store them as real data
+            if (data.flags?.[MODULE_ID]?.layers !== undefined) {
+                normalizeLayerChanges(data);
+                sound.updateSource({ [`flags.${MODULE_ID}.layers`]: data.flags[MODULE_ID].layers });
+            }
+            if (data.flags?.[MODULE_ID]?.mixCurve !== undefined) {
+                normalizeCurveChanges(data);
+                sound.updateSource({ [`flags.${MODULE_ID}.mixCurve`]: data.flags[MODULE_ID].mixCurve });
+            }
             
             // Check if this is an adaptive sound (checks parent playlist flag or sound flags)
-            // Note: During creation, sound flags might be in `data` or `sound` depending on how it's constructed
-            // But we can check data.flags or the sound object itself
-            const midPath = sound.getFlag(MODULE_ID, "midIntensityPath") ?? data.flags?.[MODULE_ID]?.midIntensityPath;
-            const lowPath = sound.getFlag(MODULE_ID, "lowIntensityPath") ?? data.flags?.[MODULE_ID]?.lowIntensityPath;
+            // Note: During creation, flags are already part of the sound's source data
 
             // Only interfere if it is an adaptive sound context
-            // If the playlist is adaptive OR the sound itself has adaptive path flags
-            if (isAdaptive || midPath || lowPath) {
+            // If the playlist is adaptive OR the sound itself has adaptive layers
+            if (isAdaptive || hasAdaptiveLayers(sound)) {
                 // If the sound is being created with playing=true (e.g. cloned from a playing sound)
                 if (data.playing) {
                      debug(`Intercepted preCreatePlaylistSound for ${sound.name} - Forcing playing=false for copy`);
@@ -245,51 +427,6 @@ debug("Restoring playback...");
                 }
             }
         });
-        
-        // Combat integration - fade intensity on combat start/end
-        // Combat integration - fade intensity on combat start/end
-        Hooks.on("combatStart", (combat, updateData) => {
-            if (!game.settings.get(MODULE_ID, "autoSetCombatIntensity")) return;
-
-            const targetIntensity = game.settings.get(MODULE_ID, "combatIntensity") / 100;
-            debug(`Combat started, fading to ${(targetIntensity * 100)}% intensity`);
-            
-            // Store current intensity ONLY if we aren't already tracking a combat session (first combat started)
-            // This prevents overwriting the restore point if a second combat starts
-            if (this.preCombatIntensity === null) {
-                this.preCombatIntensity = this.intensity;
-                this.userOverrideDuringCombat = false;
-            }
-            
-            // Fade to target over 2 seconds
-            this.fadeTo(targetIntensity, 2000, true); // true = update UI
-        });
-        
-        Hooks.on("deleteCombat", (combat, options, userId) => {
-            if (!game.settings.get(MODULE_ID, "autoSetCombatIntensity")) return;
-
-            // Check if there are other active combats running
-            // We only want to restore intensity when the LAST combat ends
-            const otherActiveCombats = game.combats.filter(c => c.started && c.id !== combat.id);
-            if (otherActiveCombats.length > 0) {
-                debug("Combat ended, but other combats remain active. Keeping combat intensity.");
-                return;
-            }
-
-            debug("All combats ended");
-            
-            // Only restore pre-combat intensity if user hasn't overridden
-            if (!this.userOverrideDuringCombat && this.preCombatIntensity !== null) {
-                debug(`Restoring pre-combat intensity: ${(this.preCombatIntensity * 100).toFixed(0)}%`);
-                this.fadeTo(this.preCombatIntensity, 2000, true); // true = update UI
-            } else if (this.userOverrideDuringCombat) {
-                debug(`User overrode intensity during combat, keeping current: ${(this.intensity * 100).toFixed(0)}%`);
-            }
-            
-            // Reset combat state
-            this.preCombatIntensity = null;
-            this.userOverrideDuringCombat = false;
-        });
     }
 
     /**
@@ -337,16 +474,8 @@ debug("Restoring playback...");
         debug(`Preloading sound: ${sound.name}`);
         ui.notifications.info(`Adaptive Audio: Preloading ${sound.name}...`);
 
-        const highPath = sound.path;
-        const midPath = sound.getFlag(MODULE_ID, "midIntensityPath");
-        const lowPath = sound.getFlag(MODULE_ID, "lowIntensityPath");
-        
         let count = 0;
-        const promises = [];
-        
-        if (highPath) promises.push(this._preloadSound(highPath).then(() => count++));
-        if (midPath) promises.push(this._preloadSound(midPath).then(() => count++));
-        if (lowPath) promises.push(this._preloadSound(lowPath).then(() => count++));
+        const promises = getSoundLayers(sound).map(layer => this._preloadSound(layer.path).then(() => count++));
         
         await Promise.all(promises);
         
@@ -360,29 +489,37 @@ debug("Restoring playback...");
     async _preloadPlaylistInternal(playlist) {
         let count = 0;
         for (const sound of playlist.sounds) {
-            const highPath = sound.path; // Base path is now High intensity
-            const midPath = sound.getFlag(MODULE_ID, "midIntensityPath");
-            const lowPath = sound.getFlag(MODULE_ID, "lowIntensityPath");
-            
-            if (highPath) { await this._preloadSound(highPath); count++; }
-            if (midPath) { await this._preloadSound(midPath); count++; }
-            if (lowPath) { await this._preloadSound(lowPath); count++; }
+            // Base path is the top layer, followed by every configured layer below it
+            for (const layer of getSoundLayers(sound)) {
+                await this._preloadSound(layer.path);
+                count++;
+            }
         }
         return count;
     }
 
     /**
      * Preload a single audio file
+     * @param {string} path
+     * @returns {Promise<boolean>} - Whether the file is now cached
      * @private
      */
     async _preloadSound(path) {
         if (this.preloadedAudio.has(path)) {
-            return; // Already cached
+            return true; // Already cached
         }
         
         try {
             debug(`Preloading: ${path}`);
             
+            // Scheduled playback decodes layers, so warm the shared buffer cache instead
+            if (this.useScheduledPlayback) {
+                await loadLayerBuffer(path);
+                this.preloadedAudio.set(path, true);
+                debug(`Cached (decoded): ${path}`);
+                return true;
+            }
+
             // Use Foundry's audio helper to preload
             // This creates the audio element but doesn't play it
             const sound = await foundry.audio.AudioHelper.play({
@@ -396,10 +533,12 @@ debug("Restoring playback...");
                 sound.stop();
                 this.preloadedAudio.set(path, true);
                 debug(`Cached: ${path}`);
+                return true;
             }
         } catch (error) {
             console.warn(`${MODULE_ID} | Failed to preload ${path}:`, error);
         }
+        return false;
     }
 
     /**
@@ -412,6 +551,26 @@ debug("Restoring playback...");
         if (!isAdaptive) return;
 
         debug("Handling adaptive playlist update:", playlist.name);
+
+        // Mixing curve or channel edited - remix every playing sound of this playlist
+        if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.mixCurve`) || foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.channel`)) {
+            for (const [soundId, entry] of this.playingSounds) {
+                if (entry.sound.parent?.id === playlist.id) this._applyIntensityToSound(soundId);
+            }
+        }
+
+        // Stops requested through the playlist itself (Stop All, Skip, auto-advance)
+        // The documents already say playing:false, and this same update sets playlist.playing
+        if (Array.isArray(changes.sounds)) {
+            for (const soundChange of changes.sounds) {
+                if (soundChange.playing !== false) continue;
+                if (options?.adaptiveAudioSounds?.includes(soundChange._id)) continue; // Blocked start, not a stop
+                if (this.playingSounds.has(soundChange._id)) {
+                    debug(`Stopping adaptive playback via playlist update: ${soundChange._id}`);
+                    this._stopAdaptiveSound(soundChange._id, true, { updatePlaylist: false });
+                }
+            }
+        }
         
         // Check if we blocked any sounds in preUpdate
         if (options?.adaptiveAudioSounds) {
@@ -443,11 +602,8 @@ debug("Restoring playback...");
         
         // Fallback: check for sounds that are already playing (shouldn't happen if preUpdate works)
         for (const sound of playlist.sounds) {
-            const midPath = sound.getFlag(MODULE_ID, "midIntensityPath");
-            const lowPath = sound.getFlag(MODULE_ID, "lowIntensityPath");
-            
             // Only handle sounds with at least one alternative track configured
-            if ((!midPath && !lowPath) || !sound.path) continue;
+            if (!hasAdaptiveLayers(sound) || !sound.path) continue;
             
             // Check if this sound is currently playing
             if (sound.playing && !this.playingSounds.has(sound.id)) {
@@ -485,8 +641,10 @@ debug("Restoring playback...");
         else if (changes.playing === false) {
             this._stopAdaptiveSound(sound.id);
         }
-        // If volume changed (and we are playing)
-        else if (changes.volume !== undefined && this.playingSounds.has(sound.id)) {
+        // If volume, mixing curve or channel changed (and we are playing)
+        else if ((changes.volume !== undefined
+            || foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.mixCurve`)
+            || foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.channel`)) && this.playingSounds.has(sound.id)) {
             // Recalculate volumes with new track volume
             this._applyIntensityToSound(sound.id);
         }
@@ -494,47 +652,73 @@ debug("Restoring playback...");
 
     /**
      * Play an adaptive sound with dual intensity tracks
+     * @param {PlaylistSound} sound
+     * @param {Object} [options]
+     * @param {boolean} [options.restore=false] - Join a sound that is already playing for everyone else
+     *                                            (reload or late join), at the position given by its `startedAt` flag
+     * @param {{duration: number, curve: string}} [options.transition] - Replace every other playing adaptive sound on the
+     *                                            same channel, in any playlist, crossfading over `duration` ms (scene changes)
      * @private
      */
-    async _playAdaptiveSound(sound) {
+    async _playAdaptiveSound(sound, { restore = false, transition = null } = {}) {
         // Prevent concurrent loading of the same sound
         if (this.loadingSounds.has(sound.id)) {
             debug(`Sound "${sound.name}" is already loading, skipping duplicate request`);
             return;
         }
 
+        // Read before any await - the owner clears it once playback starts
+        const resumeFrom = Number(sound.pausedTime) || 0;
+        const startedAt = restore ? Number(sound.getFlag(MODULE_ID, "startedAt")) || null : null;
+
         // ENFORCE PLAYLIST EXCLUSIVITY
         // Because we block the native "stop" updates in preUpdatePlaylistSound, 
         // we must manually ensure other sounds stop when starting a new one (unless Simultaneous)
+        // With a playlist crossfade configured, outgoing sounds keep playing until the new one is loaded
+        // A transition does the same across every playlist, for the sound's own channel (other channels such as ambience keep playing)
         const playlist = sound.parent;
-        if (playlist && playlist.mode !== CONST.PLAYLIST_MODES.SIMULTANEOUS) {
+        const channel = resolveChannel(sound);
+        const crossfade = transition
+            ? (transition.duration > 0 ? { duration: transition.duration, curve: transition.curve, onBar: false } : null)
+            : this._getCrossfadeSettings(playlist);
+        const outgoing = [];
+        if (transition || (playlist && playlist.mode !== CONST.PLAYLIST_MODES.SIMULTANEOUS)) {
              const soundsToStop = [];
              for (const [otherId, entry] of this.playingSounds) {
-                 if (entry.sound.parent?.id === playlist.id && otherId !== sound.id) {
-                     soundsToStop.push(otherId);
-                 }
+                 if (otherId === sound.id || entry.fadingOut) continue;
+                 if (!transition && entry.sound.parent?.id !== playlist.id) continue;
+                 if (transition && resolveChannel(entry.sound) !== channel) continue;
+                 // Paused sounds are silent - release them, their document keeps the paused position
+                 if (entry.paused) this._stopAdaptiveSound(otherId, true);
+                 else soundsToStop.push(otherId);
              }
              
-             for (const id of soundsToStop) {
+             if (crossfade) outgoing.push(...soundsToStop);
+             else for (const id of soundsToStop) {
                  const entry = this.playingSounds.get(id);
                  debug(`Enforcing playlist exclusivity: Stopping ${entry?.sound?.name}`);
-                 this._stopAdaptiveSound(id);
+                 // The playlist keeps playing - this sound is being replaced (a transition may empty other playlists)
+                 this._stopAdaptiveSound(id, false, { updatePlaylist: !!transition && entry.sound.parent?.id !== playlist?.id });
              }
         }
 
         const startTime = performance.now();
         debug(`[TIMING] _playAdaptiveSound START for: ${sound.name}`);
         
-        const highPath = sound.path; // Base path is High intensity
-        const midPath = sound.getFlag(MODULE_ID, "midIntensityPath");
-        const lowPath = sound.getFlag(MODULE_ID, "lowIntensityPath");
+        // Ordered layers, lowest first. Base path is the top layer.
+        const layerDefs = getSoundLayers(sound);
 
         // Skip if not configured with at least one alternative track
-        if (!midPath && !lowPath) {
+        if (!hasAdaptiveLayers(sound)) {
             console.warn(`${MODULE_ID} | Sound "${sound.name}" missing adaptive tracks`);
             return;
         }
 
+        // Resume a paused sound in place, reusing its loaded layers
+        if (this.playingSounds.get(sound.id)?.paused) {
+            return this._resumeAdaptiveSound(sound, resumeFrom);
+        }
+
         // Stop if already playing
         if (this.playingSounds.has(sound.id)) {
             debug("_playAdaptiveSound called for playing sound, restarting...");
@@ -546,50 +730,92 @@ debug("Restoring playback...");
         try {
             debug(`Playing adaptive sound: ${sound.name}`);
             
-            // Instantiate sound objects
-            const highSound = highPath ? new foundry.audio.Sound(highPath) : null;
-            const midSound = midPath ? new foundry.audio.Sound(midPath) : null;
-            const lowSound = lowPath ? new foundry.audio.Sound(lowPath) : null;
-
-            // Load all tracks in parallel to ensure we are ready to play whatever the slider dictates
             const loadStart = performance.now();
-            const promises = [];
-            if (highSound) promises.push(highSound.load());
-            if (midSound) promises.push(midSound.load());
-            if (lowSound) promises.push(lowSound.load());
-
-            if (promises.length > 0) {
-                if (promises.length > 1) {
-                     ui.notifications.info(`${MODULE_ID}: Buffering ${promises.length} audio layers...`, { permanent: false });
+            if (layerDefs.length > 1) {
+                ui.notifications.info(`${MODULE_ID}: Buffering ${layerDefs.length} audio layers...`, { permanent: false });
+            }
+
+            // Preferred path: decode every layer and start them on the same AudioContext tick
+            let layers = null;
+            let group = null;
+            if (this.useScheduledPlayback) {
+                try {
+                    group = new SyncedLayerGroup(layerDefs);
+                    layers = await group.load();
+                } catch (error) {
+                    console.warn(`${MODULE_ID} | Could not decode layers for "${sound.name}", falling back to independent playback:`, error);
+                    group?.stop();
+                    group = null;
+                    layers = null;
                 }
-                await Promise.all(promises);
+            }
+
+            // Fallback: one foundry.audio.Sound per layer, loaded in parallel
+            if (!layers) {
+                layers = layerDefs.map(layer => ({ ...layer, sound: new foundry.audio.Sound(layer.path) }));
+                await Promise.all(layers.map(layer => layer.sound.load()));
             }
             
             debug(`Tracks loaded - took: ${(performance.now() - loadStart).toFixed(1)}ms`);
 
             // Store the state
-            this.playingSounds.set(sound.id, {
-                highSound,
-                midSound,
-                lowSound,
+            const entry = {
+                layers,
+                group,
                 sound,
                 needsInitialSync: false
-            });
+            };
+            this.playingSounds.set(sound.id, entry);
+
+            // Joining late: the position is the time elapsed since the recorded start, computed after loading
+            let offset = resumeFrom;
+            if (startedAt) {
+                const duration = group ? group.loopLength : Math.min(...layers.map(layer => layer.sound.duration || Infinity));
+                offset = Math.max(0, (game.time.serverTime - startedAt) / 1000);
+                if (sound.repeat && duration > 0 && Number.isFinite(duration)) {
+                    offset %= duration;
+                } else if (offset >= duration - 0.2) {
+                    // Ended while nobody was listening - treat it as a natural end
+                    debug(`"${sound.name}" already finished (${offset.toFixed(1)}s elapsed), not restoring`);
+                    this._onTrackEnd(sound.id);
+                    return;
+                }
+                debug(`Restoring "${sound.name}" at ${offset.toFixed(2)}s`);
+            }
 
-            // Start all tracks simultaneously
-            // Since we waited for load, they should start very close to each other
-            const playOptions = { volume: 0, loop: sound.repeat };
-            if (highSound) highSound.play(playOptions);
-            if (midSound) midSound.play(playOptions);
-            if (lowSound) lowSound.play(playOptions);
+            // Crossfade from the previous sound, starting on its next bar line when it has tempo metadata
+            let delay = 0;
+            const fadingFrom = outgoing.filter(id => this.playingSounds.get(id) && !this.playingSounds.get(id).fadingOut);
+            if (crossfade && fadingFrom.length) {
+                if (crossfade.onBar) delay = this._timeToNextBar(this.playingSounds.get(fadingFrom[0]));
+                debug(`Crossfading into "${sound.name}" over ${crossfade.duration}ms (starting in ${delay.toFixed(2)}s)`);
+                for (const id of fadingFrom) this._runCrossfade(id, "out", crossfade, delay);
+                this._runCrossfade(sound.id, "in", crossfade, delay);
+            }
+
+            if (group) {
+                // Sample-accurate: all layers share one start tick and loop boundary
+                for (const layer of layers) layer.sound.volume = 0;
+                const when = group.start({ offset, loop: sound.repeat, delay });
+                delay = when - group.context.currentTime;
+            } else {
+                // Start all tracks simultaneously
+                // Since we waited for load, they should start very close to each other
+                const playOptions = { volume: 0, loop: sound.repeat, offset };
+                const startAll = () => {
+                    if (this.playingSounds.get(sound.id) !== entry) return; // Stopped while waiting for the bar
+                    for (const layer of layers) layer.sound.play(playOptions);
+                };
+                if (delay > 0) entry.startTimeout = setTimeout(startAll, delay * 1000);
+                else startAll();
+            }
 
             debug("Tracks started. Applying intensity.");
             this._applyIntensityToSound(sound.id);
             
-            // Update UI
-            if (sound.isOwner) {
-                await sound.update({ playing: true }, { diff: false, render: true, adaptiveAudioInternal: true });
-            }
+            // Record when position 0 played, so late joiners can line up
+            await this._markSoundPlaying(sound, restore ? null : game.time.serverTime + (delay - offset) * 1000);
+            Hooks.callAll(API_HOOKS.soundStarted, { sound, resumed: false });
             
             debug(`[TIMING] _playAdaptiveSound complete: ${(performance.now() - startTime).toFixed(1)}ms`);
 
@@ -605,23 +831,182 @@ debug("Restoring playback...");
         }
     }
 
+    /**
+     * Reflect a started sound on its documents
+     * @param {PlaylistSound} sound
+     * @param {number|null} startedAt - Server time (ms) at which the sound was at position 0, null to keep the stored one
+     * @private
+     */
+    async _markSoundPlaying(sound, startedAt) {
+        // Update UI - the paused position has been consumed
+        if (sound.isOwner) {
+            const update = { playing: true, pausedTime: null };
+            if (startedAt !== null) update[`flags.${MODULE_ID}.startedAt`] = Math.round(startedAt);
+            await sound.update(update, { diff: false, render: true, adaptiveAudioInternal: true });
+        }
+
+        // Keep playlist.playing accurate - we stripped `playing` from Foundry's own update,
+        // and auto-advance (playNext) only continues while the playlist is playing
+        const playlist = sound.parent;
+        if (playlist?.isOwner && !playlist.playing) {
+            await playlist.update({ playing: true }, { adaptiveAudioInternal: true });
+        }
+    }
+
+    /**
+     * Mark a playlist stopped when none of its other sounds are playing
+     * @param {Playlist} playlist
+     * @param {string} soundId - The sound that just stopped or paused
+     * @private
+     */
+    _markPlaylistIdle(playlist, soundId) {
+        if (!playlist?.isOwner || !playlist.playing || !game.playlists.has(playlist.id)) return;
+
+        const othersPlaying = playlist.sounds.some(s => {
+            if (s.id === soundId) return false;
+            const entry = this.playingSounds.get(s.id);
+            return entry ? !entry.paused : s.playing;
+        });
+        if (othersPlaying) return;
+
+        playlist.update({ playing: false }, { adaptiveAudioInternal: true }).catch(err => {
+            if (game.settings.get(MODULE_ID, "debugLogging")) console.warn(`${MODULE_ID} | Failed to update playlist status:`, err);
+        });
+    }
+
+    /**
+     * Current playback position of an adaptive sound (its lowest layer)
+     * @param {string} soundId
+     * @returns {number|null} - Seconds, or null when the sound is not loaded
+     */
+    getSoundPosition(soundId) {
+        const entry = this.playingSounds.get(soundId);
+        if (!entry) return null;
+        if (entry.paused) return entry.pausedTime;
+        const position = entry.layers[0]?.sound?.currentTime;
+        return Number.isFinite(position) ? position : null;
+    }
+
+    /**
+     * Pause every layer of an adaptive sound in lockstep
+     * The layers stay loaded so resuming is instant. The position is stored on the
+     * document as `pausedTime`, which every client resumes from.
+     * @param {string} soundId
+     * @param {boolean} [skipUpdate=false] - Whether to skip updating the documents
+     * @private
+     */
+    _pauseAdaptiveSound(soundId, skipUpdate = false) {
+        const entry = this.playingSounds.get(soundId);
+        if (!entry || entry.paused) return;
+
+        // A sound fading out was already replaced - there is nothing to come back to
+        if (entry.fadingOut) {
+            this._stopAdaptiveSound(soundId, skipUpdate);
+            return;
+        }
+
+        const position = this.getSoundPosition(soundId) ?? 0;
+
+        // Waiting for a bar line or mid-fade: resume at full level
+        if (entry.startTimeout) clearTimeout(entry.startTimeout);
+        if (entry.crossfadeTimeout) clearTimeout(entry.crossfadeTimeout);
+        if (entry.crossfadeInterval) clearInterval(entry.crossfadeInterval);
+        entry.startTimeout = entry.crossfadeTimeout = entry.crossfadeInterval = null;
+        entry.crossfadeGain = undefined;
+
+        for (const layer of entry.layers) {
+            layer.sound?.pause();
+            if (layer.outgoing) this._disposeLayerSound(layer.outgoing);
+            layer.outgoing = null;
+        }
+
+        entry.paused = true;
+        entry.pausedTime = position;
+        debug(`Paused adaptive sound: ${entry.sound.name} at ${position.toFixed(2)}s`);
+
+        const sound = entry.sound;
+        Hooks.callAll(API_HOOKS.soundPaused, { sound, position });
+        if (skipUpdate) return;
+        if (sound.isOwner && sound.playing) {
+            sound.update({ playing: false, pausedTime: sound.pausedTime ?? position }, { diff: false, render: true, adaptiveAudioInternal: true }).catch(err => {
+                if (game.settings.get(MODULE_ID, "debugLogging")) console.warn(`${MODULE_ID} | Failed to update sound status:`, err);
+            });
+        }
+        this._markPlaylistIdle(sound.parent, soundId);
+    }
+
+    /**
+     * Resume a paused adaptive sound with all layers aligned at one offset
+     * @param {PlaylistSound} sound
+     * @param {number} offset - Position in seconds (the document's pausedTime, shared by every client)
+     * @private
+     */
+    async _resumeAdaptiveSound(sound, offset) {
+        const entry = this.playingSounds.get(sound.id);
+        if (!entry?.paused) return;
+
+        entry.paused = false;
+        entry.pausedTime = null;
+        entry.sound = sound;
+
+        let delay = 0;
+        if (entry.group) {
+            const when = entry.group.start({ offset, loop: sound.repeat });
+            delay = when - entry.group.context.currentTime;
+        } else {
+            for (const layer of entry.layers) layer.sound.play({ offset, volume: 0, loop: sound.repeat });
+        }
+
+        debug(`Resumed adaptive sound: ${sound.name} at ${offset.toFixed(2)}s`);
+        this._applyIntensityToSound(sound.id);
+
+        await this._markSoundPlaying(sound, game.time.serverTime + (delay - offset) * 1000);
+        Hooks.callAll(API_HOOKS.soundStarted, { sound, resumed: true });
+        if (!this.driftMonitorInterval) this._startDriftMonitoring();
+    }
+
+    /**
+     * Stop every adaptive sound through its document, so it stops for everyone
+     * Sounds this user cannot update are skipped.
+     * @returns {Promise<void>}
+     */
+    async stopAllSounds() {
+        const sounds = [...this.playingSounds.values()]
+            .map(entry => entry.sound)
+            .filter(sound => sound instanceof PlaylistSound && sound.isOwner);
+        debug(`Stopping ${sounds.length} adaptive sounds`);
+        await Promise.all(sounds.map(sound => sound.update({ playing: false, pausedTime: null })));
+    }
+
     /**
      * Stop an adaptive sound
      * @private
      * @param {string} soundId
      * @param {boolean} [skipUpdate=false] - Whether to skip updating the sound document (e.g. during deletion)
+     * @param {Object} [options]
+     * @param {boolean} [options.updatePlaylist=true] - Mark the playlist stopped if nothing else in it plays
      */
-    _stopAdaptiveSound(soundId, skipUpdate = false) {
+    _stopAdaptiveSound(soundId, skipUpdate = false, { updatePlaylist = true } = {}) {
         const entry = this.playingSounds.get(soundId);
         if (!entry) return;
 
-        if (entry.lowSound) entry.lowSound.stop();
-        if (entry.midSound) entry.midSound.stop();
-        if (entry.highSound) entry.highSound.stop();
+        if (entry.startTimeout) clearTimeout(entry.startTimeout);
+        if (entry.crossfadeTimeout) clearTimeout(entry.crossfadeTimeout);
+        if (entry.crossfadeInterval) clearInterval(entry.crossfadeInterval);
+
+        if (entry.group) entry.group.stop();
+        else for (const layer of entry.layers) layer.sound?.stop();
+
+        // Drop any instance still fading out from a drift resync
+        for (const layer of entry.layers) {
+            if (layer.outgoing) this._disposeLayerSound(layer.outgoing);
+            layer.outgoing = null;
+        }
 
         this.playingSounds.delete(soundId);
 
         debug(`Stopped adaptive sound: ${entry.sound.name}`);
+        Hooks.callAll(API_HOOKS.soundStopped, { sound: entry.sound });
         
         // IMPORTANT: Update the sound document to reflect it stopped
         // This prevents "zombie" playback on reload
@@ -633,6 +1018,9 @@ debug("Restoring playback...");
              });
         }
 
+        // Keep playlist.playing accurate once its last sound stops
+        if (!skipUpdate && updatePlaylist) this._markPlaylistIdle(sound.parent, soundId);
+
         // Stop drift monitoring if no sounds playing
         if (this.playingSounds.size === 0) {
             this._stopDriftMonitoring();
@@ -640,28 +1028,37 @@ debug("Restoring playback...");
     }
 
     /**
-     * Set global intensity for all playing adaptive sounds
+     * Set the intensity of a channel for all playing adaptive sounds bound to it
      * @param {number} intensity - Value between 0.0 and 1.0
      * @param {boolean} fromSync - True if called from settings sync or fade (don't propagate)
+     * @param {string} [channel] - Channel id, defaults to the default channel
      */
-    setGlobalIntensity(intensity, fromSync = false) {
-        this.intensity = Math.max(0, Math.min(1, intensity));
+    setGlobalIntensity(intensity, fromSync = false, channel = DEFAULT_CHANNEL) {
+        this.intensities[channel] = Math.max(0, Math.min(1, intensity));
+
+        // A manual change takes over from a running fade, here and (via the broadcast) everywhere else
+        if (!fromSync && this.fades.has(channel)) {
+            this._cancelFade(channel);
+            if (game.user.isGM) this._storeActiveFade(channel, null);
+        }
         
         // If this is a manual change during combat, mark it as user override
         // (Only if not from sync/fade)
-        if (!fromSync && this.preCombatIntensity !== null) {
+        if (!fromSync && channel === DEFAULT_CHANNEL && this.preCombatIntensity !== null) {
             this.userOverrideDuringCombat = true;
             debug("User manually changed intensity during combat");
         }
         
-        // Apply to all playing sounds
-        for (const soundId of this.playingSounds.keys()) {
-            this._applyIntensityToSound(soundId);
+        // Apply to the playing sounds on this channel
+        for (const [soundId, entry] of this.playingSounds) {
+            if (resolveChannel(entry.sound) === channel) this._applyIntensityToSound(soundId);
         }
+        refreshAmbientSounds();
+        this._emitIntensityChanged(channel);
 
-        // Propagate to settings if GM and not from sync
+        // Propagate to other clients if GM and not from sync (saved to settings once the change settles)
         if (!fromSync && game.user.isGM) {
-            game.settings.set(MODULE_ID, "currentIntensity", Math.round(this.intensity * 100));
+            this.sync.broadcastIntensity(this.intensities[channel], channel);
             
             // If custom mix is enabled, we might need to update those settings too if the slider drives them?
             // Sidebar logic handles that by calling setCustomVolume separately, so we just handle intensity here.
@@ -669,70 +1066,353 @@ debug("Restoring playback...");
     }
 
     /**
-     * Fade intensity smoothly from current value to target value
-     * @param {number} targetIntensity - Target intensity (0.0 to 1.0)
-     * @param {number} duration - Fade duration in milliseconds
-     * @param {boolean} updateUI - Whether to update the UI slider
+     * Set a channel's intensity from automation (regions, proximity, envelope replay) rather than by hand
+     * Unlike a manual change it leaves running fades and the combat restore point alone. The value is applied
+     * locally, streamed to players over the socket, and written to the world settings once it settles.
+     * @param {number} intensity - Value between 0.0 and 1.0
+     * @param {string} [channel] - Channel id, defaults to the default channel
+     */
+    setAutomatedIntensity(intensity, channel = DEFAULT_CHANNEL) {
+        this.setGlobalIntensity(intensity, true, channel);
+        syncIntensitySliders(Math.round(this.getIntensity(channel) * 100), channel);
+        if (game.user.isGM) this.sync.broadcastIntensity(this.getIntensity(channel), channel, { automated: true });
+    }
+
+    /**
+     * Tell listeners a channel's intensity moved
+     * @param {string} channel
+     * @private
+     */
+    _emitIntensityChanged(channel) {
+        Hooks.callAll(API_HOOKS.intensityChanged, {
+            channel,
+            intensity: this.getIntensity(channel),
+            effective: this.getEffectiveIntensity(channel)
+        });
+    }
+
+    /**
+     * Tell listeners the Custom Mix changed
+     * @private
+     */
+    _emitMixChanged() {
+        Hooks.callAll(API_HOOKS.mixChanged, { enabled: this.customMixEnabled, volumes: { ...this.customVolumes } });
+    }
+
+    /**
+     * Re-apply the current mix to every playing sound (e.g. after a volume or mode change)
      * @private
      */
+    _applyIntensityToAll() {
+        for (const soundId of this.playingSounds.keys()) {
+            this._applyIntensityToSound(soundId);
+        }
+        refreshAmbientSounds();
+    }
+
+    /**
+     * Glide toward an intensity received from the GM
+     * @param {number} intensity - Value between 0.0 and 1.0
+     * @param {string} [channel] - Channel id, defaults to the default channel
+     * @param {Object} [options]
+     * @param {boolean} [options.automated=false] - Sent by setAutomatedIntensity, which leaves fades running
+     */
+    receiveIntensity(intensity, channel = DEFAULT_CHANNEL, { automated = false } = {}) {
+        if (!automated) this._cancelFade(channel);
+        this.mixTargets.intensities[channel] = Math.max(0, Math.min(1, intensity));
+        this._startMixSmoothing();
+    }
+
+    /**
+     * Glide toward Custom Mix volumes received from the GM
+     * @param {Object<string, number>} volumes - layer key -> volume (0-1)
+     */
+    receiveCustomVolumes(volumes) {
+        for (const [key, volume] of Object.entries(volumes ?? {})) {
+            this.mixTargets.volumes[key] = Math.max(0, Math.min(1, volume));
+        }
+        this._startMixSmoothing();
+    }
+
+    /**
+     * Move intensities and custom volumes toward their targets every frame until they arrive
+     * @private
+     */
+    _startMixSmoothing() {
+        if (this.mixSmoothingInterval) return;
+
+        let last = performance.now();
+        this.mixSmoothingInterval = setInterval(() => {
+            const now = performance.now();
+            const step = 1 - Math.exp(-(now - last) / REMOTE_SMOOTHING_MS);
+            last = now;
+
+            const approach = (current, target) => Math.abs(target - current) < 0.002 ? target : current + (target - current) * step;
+            let active = false;
+            const channels = Object.keys(this.mixTargets.intensities);
+            const volumesMoved = Object.keys(this.mixTargets.volumes).length > 0;
+
+            for (const [channel, target] of Object.entries(this.mixTargets.intensities)) {
+                this.intensities[channel] = approach(this.getIntensity(channel), target);
+                if (this.intensities[channel] === target) delete this.mixTargets.intensities[channel];
+                else active = true;
+            }
+
+            for (const [key, target] of Object.entries(this.mixTargets.volumes)) {
+                this.customVolumes[key] = approach(this.getCustomVolume(key), target);
+                if (this.customVolumes[key] === target) delete this.mixTargets.volumes[key];
+                else active = true;
+            }
+
+            this._applyIntensityToAll();
+            for (const channel of channels) this._emitIntensityChanged(channel);
+            if (volumesMoved) this._emitMixChanged();
+
+            if (!active) {
+                clearInterval(this.mixSmoothingInterval);
+                this.mixSmoothingInterval = null;
+            }
+        }, 16); // ~60fps
+    }
+
+    /**
+     * Save a settled mix to the world settings
+     * @param {Object} mix
+     * @param {Object<string, number>} [mix.intensities] - Intensity (0.0 to 1.0) by channel
+     * @param {Object<string, number>} [mix.volumes] - Custom Mix volumes by layer key
+     * @param {Object<string, Object|null>} [mix.fades] - Running fade by channel, null for a finished or cancelled one
+     */
+    persistMix({ intensities = {}, volumes = {}, fades = {} }) {
+        if (!game.user.isGM) return;
+
+        // The default channel keeps the original setting, other channels share a map
+        const channels = {};
+        for (const [channel, intensity] of Object.entries(intensities)) {
+            if (channel === DEFAULT_CHANNEL) game.settings.set(MODULE_ID, "currentIntensity", Math.round(intensity * 100));
+            else channels[channel] = Math.round(intensity * 100);
+        }
+        if (Object.keys(channels).length) {
+            const stored = game.settings.get(MODULE_ID, "channelIntensities");
+            game.settings.set(MODULE_ID, "channelIntensities", { ...stored, ...channels });
+        }
+
+        // Low/Mid/High keep their original settings, any other layer goes into the shared map
+        const named = {};
+        for (const [type, volume] of Object.entries(volumes)) {
+            const settingKey = LEGACY_CUSTOM_VOLUME_SETTINGS[type];
+            if (settingKey) game.settings.set(MODULE_ID, settingKey, volume);
+            else named[type] = volume;
+        }
+        if (Object.keys(named).length) {
+            const stored = game.settings.get(MODULE_ID, "customLayerVolumes");
+            game.settings.set(MODULE_ID, "customLayerVolumes", { ...stored, ...named });
+        }
+
+        // Only touch activeFades when a fade outlived the write delay or one stored earlier has ended
+        if (Object.keys(fades).length) {
+            const current = game.settings.get(MODULE_ID, "activeFades") ?? {};
+            const stored = { ...current };
+            for (const [channel, fade] of Object.entries(fades)) {
+                if (fade) stored[channel] = fade;
+                else delete stored[channel];
+            }
+            if (!foundry.utils.objectsEqual(stored, current)) game.settings.set(MODULE_ID, "activeFades", stored);
+        }
+    }
+
     /**
-     * Fade intensity smoothly from current value to target value
+     * Fade a channel's intensity smoothly from its current value to a target value
+     * When called by the GM the fade is broadcast, so every client runs the same envelope.
      * @param {number} targetIntensity - Target intensity (0.0 to 1.0)
      * @param {number} duration - Fade duration in milliseconds
      * @param {boolean} [updateUI=false] - Whether to update the UI slider
+     * @param {Object} [options]
+     * @param {string} [options.easing="easeInOut"] - Key of FADE_EASINGS
+     * @param {string} [options.channel] - Channel id, defaults to the default channel
+     * @returns {Promise<boolean>} - Resolves true when the fade completes, false when it is cancelled or replaced
      */
-    fadeTo(targetIntensity, duration, updateUI = false) {
-        // Clear any existing fade
-        if (this.fadeInterval) {
-            clearInterval(this.fadeInterval);
-            this.fadeInterval = null;
+    fadeTo(targetIntensity, duration, updateUI = false, { easing = "easeInOut", channel = DEFAULT_CHANNEL } = {}) {
+        const fade = {
+            channel,
+            from: this.getIntensity(channel),
+            to: Math.max(0, Math.min(1, targetIntensity)),
+            duration: Math.max(0, duration),
+            easing,
+            startedAt: game.time.serverTime
+        };
+
+        // Players (and late joiners, via the setting) run the same envelope on the shared server clock
+        if (game.user.isGM) {
+            this.sync.broadcastFade(fade);
+            this._storeActiveFade(channel, fade);
         }
-        
-        const startIntensity = this.intensity;
-        const delta = targetIntensity - startIntensity;
-        const startTime = Date.now();
-        
-        debug(`Fading intensity from ${startIntensity.toFixed(2)} to ${targetIntensity.toFixed(2)} over ${duration}ms`);
 
-        this.fadeInterval = setInterval(() => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1.0);
-            
-            // Ease-in-out curve for smooth fade
-            const eased = progress < 0.5
-                ? 2 * progress * progress
-                : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+        return this._runFade(fade, updateUI);
+    }
+
+    /**
+     * Run a fade envelope locally
+     * Progress is measured against the server clock, so a fade started elsewhere (or before this client joined)
+     * lands on the same value at the same time on every client.
+     * @param {{channel: string, from: number, to: number, duration: number, easing: string, startedAt: number}} fade
+     * @param {boolean} [updateUI=false] - Whether to update the UI slider
+     * @returns {Promise<boolean>} - Resolves true when the fade completes, false when it is cancelled or replaced
+     * @private
+     */
+    _runFade(fade, updateUI = false) {
+        const channel = fade.channel ?? DEFAULT_CHANNEL;
+        this._cancelFade(channel);
+
+        const { from, to, duration, startedAt } = fade;
+        const ease = FADE_EASINGS[fade.easing] ?? FADE_EASINGS.easeInOut;
+
+        debug(`Fading ${channel} intensity from ${from.toFixed(2)} to ${to.toFixed(2)} over ${duration}ms`);
+
+        const state = { fade, interval: null, resolve: null };
+        const done = new Promise(resolve => state.resolve = resolve);
+        const step = () => {
+            const elapsed = game.time.serverTime - startedAt;
+            const progress = duration > 0 ? Math.max(0, Math.min(elapsed / duration, 1.0)) : 1.0;
             
-            const newIntensity = startIntensity + (delta * eased);
+            const newIntensity = from + ((to - from) * ease(progress));
             
             // Apply intensity locally
             // fromSync=true prevents recursion and settings spam
-            this.setGlobalIntensity(newIntensity, true);
+            this.setGlobalIntensity(newIntensity, true, channel);
             
             // Update UI if requested
-            if (updateUI) {
-                const percentValue = Math.round(newIntensity * 100);
-                
-                // Update ALL sliders and displays
-                const sliders = document.querySelectorAll('.adaptive-audio-intensity input[name="intensity"]');
-                const displays = document.querySelectorAll('.adaptive-audio-intensity .intensity-value');
-                
-                sliders.forEach(slider => { slider.value = percentValue; });
-                displays.forEach(display => { display.textContent = `${percentValue}%`; });
-            }
+            if (updateUI) syncIntensitySliders(Math.round(newIntensity * 100), channel);
             
             // Stop when complete
             if (progress >= 1.0) {
-                clearInterval(this.fadeInterval);
-                this.fadeInterval = null;
+                clearInterval(state.interval);
+                this.fades.delete(channel);
                 debug("Fade complete");
                 
-                // Final sync to world settings at end of fade
+                // Save the final value and drop the stored fade once things settle
                 if (game.user.isGM) {
-                     game.settings.set(MODULE_ID, "currentIntensity", Math.round(targetIntensity * 100));
+                    this.sync.persistIntensity(to, channel);
+                    this.sync.storeFade(channel, null);
                 }
+                state.resolve(true);
             }
-        }, 16); // ~60fps
+        };
+
+        this.fades.set(channel, state);
+        state.interval = setInterval(step, 16); // ~60fps
+        step();
+        return done;
+    }
+
+    /**
+     * Stop a running fade where it is
+     * @param {string} [channel] - Channel id, defaults to the default channel
+     * @private
+     */
+    _cancelFade(channel = DEFAULT_CHANNEL) {
+        const state = this.fades.get(channel);
+        if (!state) return;
+        clearInterval(state.interval);
+        this.fades.delete(channel);
+        state.resolve(false);
+    }
+
+    /**
+     * Record (or clear) the fade running on a channel, for clients that join mid-fade
+     * The write is debounced with the rest of the mix (see IntensitySync).
+     * @param {string} channel
+     * @param {Object|null} fade
+     * @private
+     */
+    _storeActiveFade(channel, fade) {
+        this.sync.storeFade(channel, fade);
+    }
+
+    /**
+     * Pick up fades that are still running for everyone else (reload or late join)
+     * @private
+     */
+    _restoreFade() {
+        for (const fade of Object.values(game.settings.get(MODULE_ID, "activeFades") ?? {})) {
+            if (!fade?.duration || game.time.serverTime >= fade.startedAt + fade.duration) continue;
+            debug("Joining fade in progress", fade);
+            this._runFade(fade, true);
+        }
+    }
+
+    /**
+     * Spike a channel's intensity above its baseline, then let it decay back
+     * Impulses stack (the total is capped at 1.0) and never change the baseline, so fades, the sliders and
+     * the combat restore point are unaffected. When called by the GM the impulse plays on every client.
+     * @param {number} amount - Intensity added at the peak (0.0 to 1.0)
+     * @param {number} duration - Decay time in milliseconds
+     * @param {Object} [options]
+     * @param {string} [options.curve="exponential"] - Key of IMPULSE_CURVES
+     * @param {string} [options.channel] - Channel id, defaults to the default channel
+     */
+    impulse(amount, duration, { curve = "exponential", channel = DEFAULT_CHANNEL } = {}) {
+        const impulse = {
+            channel,
+            amount: Math.max(0, Math.min(1, amount)),
+            duration: Math.max(0, duration),
+            curve,
+            startedAt: game.time.serverTime
+        };
+
+        if (game.user.isGM) this.sync.broadcastImpulse(impulse);
+        this._runImpulse(impulse);
+    }
+
+    /**
+     * Total impulse currently added to a channel
+     * @param {string} [channel] - Channel id, defaults to the default channel
+     * @returns {number}
+     */
+    getImpulseLevel(channel = DEFAULT_CHANNEL) {
+        const now = game.time.serverTime;
+        let level = 0;
+        for (const impulse of this.impulses) {
+            if (impulse.channel !== channel) continue;
+            const elapsed = now - impulse.startedAt;
+            const curve = IMPULSE_CURVES[impulse.curve] ?? IMPULSE_CURVES.exponential;
+            const share = elapsed < IMPULSE_ATTACK_MS
+                ? Math.max(0, elapsed) / IMPULSE_ATTACK_MS
+                : curve.gain(impulse.duration > 0 ? Math.min(1, (elapsed - IMPULSE_ATTACK_MS) / impulse.duration) : 1);
+            level += impulse.amount * share;
+        }
+        return level;
+    }
+
+    /**
+     * Play an impulse locally, re-mixing its channel every frame until all impulses have decayed
+     * Timing follows the server clock, like fades, so every client hears the same envelope.
+     * @param {{channel: string, amount: number, duration: number, curve: string, startedAt: number}} impulse
+     * @private
+     */
+    _runImpulse(impulse) {
+        debug(`Impulse of ${(impulse.amount * 100).toFixed(0)}% on ${impulse.channel} over ${impulse.duration}ms`);
+        this.impulses.push(impulse);
+        if (this.impulseInterval) return;
+
+        const step = () => {
+            const now = game.time.serverTime;
+            const channels = new Set(this.impulses.map(i => i.channel));
+            this.impulses = this.impulses.filter(i => now < i.startedAt + IMPULSE_ATTACK_MS + i.duration);
+
+            for (const [soundId, entry] of this.playingSounds) {
+                if (channels.has(resolveChannel(entry.sound))) this._applyIntensityToSound(soundId);
+            }
+            refreshAmbientSounds();
+            for (const channel of channels) this._emitIntensityChanged(channel);
+
+            if (!this.impulses.length) {
+                clearInterval(this.impulseInterval);
+                this.impulseInterval = null;
+            }
+        };
+
+        this.impulseInterval = setInterval(step, 16); // ~60fps
+        step();
     }
 
     /**
@@ -742,7 +1422,8 @@ debug("Restoring playback...");
      */
     setCustomMixEnabled(enabled, fromSync = false) {
         this.customMixEnabled = enabled;
-        this.setGlobalIntensity(this.intensity, true); // Re-apply to update volumes (local)
+        this._applyIntensityToAll(); // Re-apply to update volumes (local)
+        this._emitMixChanged();
         
         if (!fromSync && game.user.isGM) {
             game.settings.set(MODULE_ID, "customMixEnabled", enabled);
@@ -750,75 +1431,93 @@ debug("Restoring playback...");
     }
 
     /**
-     * Set custom volume for a specific track type
-     * @param {string} type - 'high', 'mid', or 'low'
+     * Set custom volume for a specific layer
+     * @param {string} type - Layer key, e.g. 'high', 'mid', 'low' or a named layer such as 'strings'
      * @param {number} volume - Volume between 0.0 and 1.0
      * @param {boolean} fromSync - True if from settings sync
      */
     setCustomVolume(type, volume, fromSync = false) {
         volume = Math.max(0, Math.min(1, volume));
         
-        if (type === 'high') this.customHighVolume = volume;
-        else if (type === 'mid') this.customMidVolume = volume;
-        else if (type === 'low') this.customLowVolume = volume;
+        this.customVolumes[type] = volume;
         
         if (this.customMixEnabled) {
-            this.setGlobalIntensity(this.intensity, true); // Re-apply to update volumes (local)
+            this._applyIntensityToAll(); // Re-apply to update volumes (local)
         }
+        this._emitMixChanged();
         
+        // Propagate to other clients (saved to settings once the change settles)
         if (!fromSync && game.user.isGM) {
-            if (type === 'high') game.settings.set(MODULE_ID, "customHighVolume", volume);
-            else if (type === 'mid') game.settings.set(MODULE_ID, "customMidVolume", volume);
-            else if (type === 'low') game.settings.set(MODULE_ID, "customLowVolume", volume);
+            this.sync.broadcastCustomVolumes({ [type]: volume });
         }
     }
 
+    /**
+     * Get the custom mix volume for a layer
+     * @param {string} type - Layer key
+     * @returns {number} - Volume between 0.0 and 1.0 (defaults to 1.0)
+     */
+    getCustomVolume(type) {
+        return this.customVolumes[type] ?? 1.0;
+    }
+
+    /**
+     * Get the layers that the Custom Mix controls should expose, highest first
+     * Collects layers from every playing adaptive sound, falling back to High/Mid/Low.
+     * @returns {Array<{key: string, name: string}>}
+     */
+    getMixLayers() {
+        const layers = new Map();
+        for (const entry of this.playingSounds.values()) {
+            for (const layer of [...entry.layers].reverse()) {
+                if (!layers.has(layer.key)) layers.set(layer.key, { key: layer.key, name: layer.name });
+            }
+        }
+
+        if (layers.size === 0) {
+            return [
+                { key: "high", name: "High" },
+                { key: "mid", name: "Mid" },
+                { key: "low", name: "Low" }
+            ];
+        }
+        return Array.from(layers.values());
+    }
+
     /**
      * Calculate volume levels for tracks based on intensity
      * @param {number} intensity - Value between 0.0 and 1.0
      * @returns {Object} - { low, mid, high } volumes (0-1 range)
      */
     calculateMix(intensity) {
-        // Linear interpolation helper
-        // points is array of {p: intensity_percent, v: volume}
-        const interp = (val, points) => {
-            for (let i = 0; i < points.length - 1; i++) {
-                const p1 = points[i];
-                const p2 = points[i+1];
-                if (val >= p1.p && val <= p2.p) {
-                    const range = p2.p - p1.p;
-                    const progress = (val - p1.p) / range;
-                    return p1.v + (p2.v - p1.v) * progress;
-                }
-            }
-            return points[points.length-1].v;
-        };
-
         // 5-Stage Curve (Oscillating Low)
-        const low = interp(intensity, [
-            {p: 0.00, v: 1.0},
-            {p: 0.25, v: 0.0},
-            {p: 0.50, v: 1.0},
-            {p: 0.75, v: 0.0},
-            {p: 1.00, v: 1.0}
-        ]);
-
-        const mid = interp(intensity, [
-            {p: 0.00, v: 0.0},
-            {p: 0.25, v: 1.0},
-            {p: 1.00, v: 1.0}
-        ]);
-
-        const high = interp(intensity, [
-            {p: 0.00, v: 0.0},
-            {p: 0.50, v: 0.0},
-            {p: 0.75, v: 1.0},
-            {p: 1.00, v: 1.0}
-        ]);
-
+        const [low, mid, high] = evaluateCurve({ preset: "ovani5" }, 3, intensity);
         return { low, mid, high };
     }
 
+    /**
+     * Calculate per-layer volumes for an ordered layer stack (lowest first)
+     * @param {number} intensity - Value between 0.0 and 1.0
+     * @param {number} count - Number of layers
+     * @param {Object|null} [curve=null] - Mixing curve (see mixCurves.js), null for the default preset
+     * @returns {number[]} - Volumes (0-1 range), one per layer
+     */
+    calculateLayerMix(intensity, count, curve = null) {
+        return evaluateCurve(curve, count, intensity);
+    }
+
+    /**
+     * Calculate volumes keyed by layer for an ordered layer stack
+     * @param {Array<{key: string}>} layers - Layers, lowest first
+     * @param {number} intensity - Value between 0.0 and 1.0
+     * @param {Object|null} [curve=null] - Mixing curve, null for the default preset
+     * @returns {Object<string, number>} - layer key -> volume (0-1 range)
+     */
+    calculateLayerVolumes(layers, intensity, curve = null) {
+        const mix = this.calculateLayerMix(intensity, layers.length, curve);
+        return Object.fromEntries(layers.map((layer, i) => [layer.key, mix[i]]));
+    }
+
     /**
      * Apply intensity to a specific sound
      * Handles dynamic mixing based on available tracks
@@ -828,73 +1527,28 @@ debug("Restoring playback...");
         const entry = this.playingSounds.get(soundId);
         if (!entry) return;
 
-        let lowVolume = 0;
-        let midVolume = 0;
-        let highVolume = 0;
-        
-        // Detect available tracks
-        const hasLow = !!entry.lowSound;
-        const hasMid = !!entry.midSound;
-        const hasHigh = !!entry.highSound;
-
         // Get individual track volume (from playlist slider)
         // Default to 1 if undefined
         const trackVolume = entry.sound.volume ?? 1.0;
-        const effectiveMasterVolume = this.masterVolume * trackVolume;
+        const effectiveMasterVolume = this.masterVolume * trackVolume * (entry.crossfadeGain ?? 1.0);
 
+        let volumes;
         if (this.customMixEnabled) {
             debug("Custom Mix Enabled - using static volumes (Global Intensity ignored)");
-            // Use custom volumes
-            lowVolume = (this.customLowVolume ?? 1.0) * effectiveMasterVolume;
-            midVolume = (this.customMidVolume ?? 1.0) * effectiveMasterVolume;
-            highVolume = (this.customHighVolume ?? 1.0) * effectiveMasterVolume;
+            volumes = entry.layers.map(layer => this.getCustomVolume(layer.key));
         } else {
-            debug(`_applyIntensityToSound | Intensity: ${this.intensity.toFixed(2)} | Tracks: L=${hasLow} M=${hasMid} H=${hasHigh}`);
-
-            // Calculate mixing curves
-            // Scenario 1: All 3 tracks (Complex 5-stage curve)
-            if (hasLow && hasMid && hasHigh) {
-                const mix = this.calculateMix(this.intensity);
-                
-                lowVolume = mix.low * effectiveMasterVolume;
-                midVolume = mix.mid * effectiveMasterVolume;
-                highVolume = mix.high * effectiveMasterVolume;
-                
-                debug(`Complex Mix Result | Low: ${lowVolume.toFixed(2)} | Mid: ${midVolume.toFixed(2)} | High: ${highVolume.toFixed(2)}`);
-            } 
-            // Scenario 2: High + Mid only (interpolated 0-100)
-            else if (!hasLow && hasMid && hasHigh) {
-                // 0-100%: Mid -> High
-                const progress = this.intensity;
-                midVolume = (1 - progress) * effectiveMasterVolume;
-                highVolume = progress * effectiveMasterVolume;
-            }
-            // Scenario 3: High + Low only (interpolated 0-100)
-            else if (hasLow && !hasMid && hasHigh) {
-                 // 0-100%: Low -> High
-                 const progress = this.intensity;
-                 lowVolume = (1 - progress) * effectiveMasterVolume;
-                 highVolume = progress * effectiveMasterVolume;
-            }
-            // Scenario 4: Mid + Low only (interpolated 0-100)
-            else if (hasLow && hasMid && !hasHigh) {
-                // 0-100%: Low -> Mid
-                const progress = this.intensity;
-                lowVolume = (1 - progress) * effectiveMasterVolume;
-                midVolume = progress * effectiveMasterVolume;
-            }
-            // Scenario 5: Single adaptive track? (Fallback)
-             else {
-                // Just map everything to whatever is available
-                if (hasHigh) highVolume = effectiveMasterVolume;
-                if (hasMid) midVolume = effectiveMasterVolume;
-                if (hasLow) lowVolume = effectiveMasterVolume;
-            }
+            const channel = resolveChannel(entry.sound);
+            const intensity = this.getEffectiveIntensity(channel);
+            debug(`_applyIntensityToSound | ${channel}: ${intensity.toFixed(2)} | Layers: ${entry.layers.map(l => l.name).join(", ")}`);
+            // Per-sound curve override, else the playlist's curve, else the default preset
+            volumes = this.calculateLayerMix(intensity, entry.layers.length, resolveMixCurve(entry.sound));
         }
-        
-        if (entry.lowSound) entry.lowSound.volume = lowVolume;
-        if (entry.midSound) entry.midSound.volume = midVolume;
-        if (entry.highSound) entry.highSound.volume = highVolume;
+
+        entry.layers.forEach((layer, i) => {
+            layer.targetVolume = volumes[i] * effectiveMasterVolume;
+            // A layer mid-resync is owned by its crossfade, which re-applies when done
+            if (layer.sound && !layer.crossfading) layer.sound.volume = layer.targetVolume;
+        });
     }
 
     /**
@@ -906,15 +1560,13 @@ debug("Restoring playback...");
         game.settings.set(MODULE_ID, "masterVolume", this.masterVolume * 100);
         
         // Re-apply intensity to update volumes
-        this.setGlobalIntensity(this.intensity);
+        this._applyIntensityToAll();
     }
 
-    /**
-     * Monitor for drift between tracks
-     * @private
-     */
     /**
      * Monitor for drift between tracks and correct secondary tracks
+     * Layers started by a SyncedLayerGroup share one clock and cannot drift on their own,
+     * so for them this is only a safety net (e.g. after a single layer was restarted).
      * @private
      */
     _startDriftMonitoring() {
@@ -928,57 +1580,53 @@ debug("Restoring playback...");
 
             for (const [soundId, entry] of this.playingSounds.entries()) {
                 try {
-                    const { lowSound, midSound, highSound, sound } = entry;
+                    const { layers, sound } = entry;
+                    if (entry.paused) continue;
                     
-                    // Identify Primary (must match _playAdaptiveSound logic: Low > Mid > High)
-                    const primarySound = lowSound || midSound || highSound;
+                    // Identify Primary: the lowest layer
+                    const primarySound = layers[0]?.sound;
+
+                    // Scheduled layers report a natural end directly
+                    if (!sound.repeat && primarySound?.ended) {
+                        debug(`Track finished: ${sound.name}`);
+                        this._onTrackEnd(soundId);
+                        continue;
+                    }
+
                     if (!primarySound || !primarySound.playing) continue;
                     
                     // Detect End of Track (if not looping)
                     // We use a small threshold to catch it just before or at the end
                     if (!sound.repeat && primarySound.duration > 0 && primarySound.currentTime >= (primarySound.duration - 0.2)) {
                         debug(`Track finished: ${sound.name}`);
-                        this._stopAdaptiveSound(soundId);
+                        this._onTrackEnd(soundId);
                         continue;
                     }
                     
                     const baseTime = primarySound.currentTime;
                     
                     // Check Secondaries
-                    const checkDrift = (secondary, label) => {
-                        if (!secondary || !secondary.playing) return;
+                    const checkDrift = (layer) => {
+                        const secondary = layer.sound;
+                        if (!secondary || !secondary.playing || layer.resyncing) return;
                         
                         const drift = Math.abs(secondary.currentTime - baseTime);
                         
                         // Verbose logging
                         // if (game.settings.get(MODULE_ID, "debugLogging")) {
-                        //     console.log(`${MODULE_ID} | [Drift Check] ${sound.name} (${label}): ${drift.toFixed(3)}s`);
+                        //     console.log(`${MODULE_ID} | [Drift Check] ${sound.name} (${layer.name}): ${drift.toFixed(3)}s`);
                         // }
 
                         if (drift > 0.1) { // 100ms threshold
-                            console.warn(`${MODULE_ID} | Drift detected in "${sound.name}" (${label}): ${(drift * 1000).toFixed(0)}ms. Resyncing to Primary...`);
+                            console.warn(`${MODULE_ID} | Drift detected in "${sound.name}" (${layer.name}): ${(drift * 1000).toFixed(0)}ms. Resyncing to Primary...`);
                             
-                            // Resync: Stop secondary, Play secondary at Base Time
-                            // We use a small volume fade or just hard cut? Hard cut is safer for sync.
-                            secondary.stop();
-                            
-                            // Re-play with offset
-                            const offset = primarySound.currentTime;
-                            secondary.play({ 
-                                volume: 0, 
-                                offset: offset, 
-                                loop: sound.repeat 
-                            });
-                            
-                            // Re-apply volumes instantly
-                            this._applyIntensityToSound(soundId);
+                            // Resync: bring in an aligned instance and crossfade, so the layer never drops out
+                            this._resyncLayer(soundId, layer, primarySound, drift);
                         }
                     };
 
-                    // Check both secondaries against Primary
-                    if (primarySound !== highSound) checkDrift(highSound, "High");
-                    if (primarySound !== midSound) checkDrift(midSound, "Mid");
-                    if (primarySound !== lowSound) checkDrift(lowSound, "Low");
+                    // Check every secondary against Primary
+                    for (const layer of layers.slice(1)) checkDrift(layer);
 
                 } catch (error) {
                     // Silently fail if properties inaccessible
@@ -987,6 +1635,249 @@ debug("Restoring playback...");
         }, 1000);
     }
 
+    /**
+     * Whether this client is the one GM that should drive world-level automation
+     * @returns {boolean}
+     * @private
+     */
+    _isActiveGM() {
+        return game.users.activeGM ? game.users.activeGM.isSelf : game.user.isGM;
+    }
+
+    /**
+     * Read a playlist's crossfade configuration
+     * @param {Playlist} playlist
+     * @returns {{duration: number, curve: string, onBar: boolean}|null} - null when crossfading is off
+     * @private
+     */
+    _getCrossfadeSettings(playlist) {
+        const seconds = Number(playlist?.getFlag?.(MODULE_ID, "crossfadeDuration")) || 0;
+        if (seconds <= 0) return null;
+        return {
+            duration: seconds * 1000,
+            curve: playlist.getFlag(MODULE_ID, "crossfadeCurve") || "equalPower",
+            onBar: !!playlist.getFlag(MODULE_ID, "crossfadeOnBar")
+        };
+    }
+
+    /**
+     * Seconds until the next bar line of a playing sound, from its tempo flags
+     * @param {Object} entry - playingSounds entry
+     * @returns {number} - 0 when the sound has no tempo metadata
+     * @private
+     */
+    _timeToNextBar(entry) {
+        const bpm = Number(entry?.sound.getFlag?.(MODULE_ID, "bpm"));
+        if (!bpm || bpm <= 0) return 0;
+
+        const beatsPerBar = Number(entry.sound.getFlag(MODULE_ID, "beatsPerBar")) || 4;
+        const barLength = (60 / bpm) * beatsPerBar;
+        const position = entry.layers[0]?.sound?.currentTime ?? 0;
+        const remaining = barLength - (position % barLength);
+
+        // Practically on the bar line already
+        return remaining < 0.05 || remaining > barLength - 0.05 ? 0 : remaining;
+    }
+
+    /**
+     * Run a crossfade envelope on a playing sound
+     * The envelope scales the sound's whole mix, so intensity changes keep applying during the fade.
+     * @param {string} soundId
+     * @param {"in"|"out"} direction - "out" stops the sound when the fade completes
+     * @param {{duration: number, curve: string}} crossfade
+     * @param {number} [delay=0] - Seconds to wait before the fade begins
+     * @private
+     */
+    _runCrossfade(soundId, direction, { duration, curve }, delay = 0) {
+        const entry = this.playingSounds.get(soundId);
+        if (!entry) return;
+
+        if (entry.crossfadeTimeout) clearTimeout(entry.crossfadeTimeout);
+        if (entry.crossfadeInterval) clearInterval(entry.crossfadeInterval);
+
+        const gain = (CROSSFADE_CURVES[curve] ?? CROSSFADE_CURVES.equalPower).gain;
+        const from = entry.crossfadeGain ?? (direction === "in" ? 0 : 1);
+        entry.crossfadeGain = from;
+
+        if (direction === "out") {
+            entry.fadingOut = true;
+
+            // The UI should already show the new sound as the playing one
+            const sound = entry.sound;
+            if (sound.isOwner && sound.playing) {
+                sound.update({ playing: false }, { diff: false, render: true, adaptiveAudioInternal: true }).catch(err => {
+                    if (game.settings.get(MODULE_ID, "debugLogging")) console.warn(`${MODULE_ID} | Failed to update sound status:`, err);
+                });
+            }
+        }
+
+        const begin = () => {
+            entry.crossfadeTimeout = null;
+            const startTime = Date.now();
+
+            entry.crossfadeInterval = setInterval(() => {
+                if (this.playingSounds.get(soundId) !== entry) {
+                    clearInterval(entry.crossfadeInterval);
+                    return;
+                }
+
+                const progress = Math.min((Date.now() - startTime) / duration, 1.0);
+                entry.crossfadeGain = direction === "in"
+                    ? from + (1 - from) * gain(progress)
+                    : from * gain(1 - progress);
+                this._applyIntensityToSound(soundId);
+
+                if (progress >= 1.0) {
+                    clearInterval(entry.crossfadeInterval);
+                    entry.crossfadeInterval = null;
+                    if (direction === "out") {
+                        debug(`Crossfade out complete: ${entry.sound.name}`);
+                        // Only idles the playlist if nothing else in it plays (a scene transition can leave it empty)
+                        this._stopAdaptiveSound(soundId);
+                    } else {
+                        entry.crossfadeGain = 1.0;
+                    }
+                }
+            }, 16); // ~60fps
+        };
+
+        if (delay > 0) entry.crossfadeTimeout = setTimeout(begin, delay * 1000);
+        else begin();
+    }
+
+    /**
+     * Handle a non-looping adaptive sound reaching its end
+     * Sequential and Shuffle playlists advance like native ones: the active GM calls
+     * playlist.playNext(), which follows playbackOrder (shuffle order included) and
+     * stops the playlist after the last sound when it should no longer continue.
+     * @param {string} soundId
+     * @private
+     */
+    _onTrackEnd(soundId) {
+        const entry = this.playingSounds.get(soundId);
+        if (!entry) return;
+
+        const sound = entry.sound;
+        const playlist = sound.parent;
+        const modes = CONST.PLAYLIST_MODES;
+        if (!entry.fadingOut) Hooks.callAll(API_HOOKS.soundEnded, { sound });
+        const advances = !entry.fadingOut && playlist?.playing && [modes.SEQUENTIAL, modes.SHUFFLE].includes(playlist.mode);
+
+        if (!advances) {
+            this._stopAdaptiveSound(soundId);
+            return;
+        }
+
+        // Stop locally only - playNext marks this sound stopped and starts the next in one update
+        this._stopAdaptiveSound(soundId, true);
+
+        if (this._isActiveGM()) {
+            debug(`Advancing playlist "${playlist.name}" after: ${sound.name}`);
+            playlist.playNext(sound.id).catch(err => {
+                console.error(`${MODULE_ID} | Failed to advance playlist:`, err);
+            });
+        }
+    }
+
+    /**
+     * Replace a drifted layer with a fresh instance aligned to the primary layer
+     * @param {string} soundId
+     * @param {Object} layer - Entry layer ({key, name, path, sound})
+     * @param {Object} primarySound - The primary layer's sound (position reference)
+     * @param {number} drift - Measured drift in seconds, reported to the driftCorrected hook
+     * @private
+     */
+    async _resyncLayer(soundId, layer, primarySound, drift) {
+        const entry = this.playingSounds.get(soundId);
+        if (!entry) return;
+
+        const completed = await this.crossfadeLayer(layer, {
+            // Scheduled layers share the decoded buffer, independent sounds load from cache
+            create: async (old) => {
+                if (old instanceof ScheduledLayer) return old.clone();
+                const fresh = new foundry.audio.Sound(layer.path);
+                await fresh.load();
+                return fresh;
+            },
+            offset: () => primarySound.currentTime,
+            loop: entry.sound.repeat,
+            isCurrent: () => this.playingSounds.get(soundId) === entry,
+            report: { sound: entry.sound, drift, ambient: false }
+        });
+        if (completed) debug(`Resynced layer ${layer.name} of "${entry.sound.name}" with a ${RESYNC_CROSSFADE_MS}ms crossfade`);
+
+        // Pick up any intensity change that happened during the crossfade
+        if (this.playingSounds.get(soundId) === entry) this._applyIntensityToSound(soundId);
+    }
+
+    /**
+     * Replace a layer instance with a fresh one aligned to a reference position, without a dropout
+     * The fresh instance starts silent and crossfades in over RESYNC_CROSSFADE_MS while the drifted one fades
+     * out and is then disposed. Used for the layers of adaptive playlist sounds and adaptive ambient sounds.
+     * While it runs the layer carries `resyncing`, `crossfading` and `outgoing`; volume changes should only
+     * update `layer.targetVolume`, which the crossfade lands on.
+     * @param {Object} layer - Layer whose `sound` is replaced
+     * @param {Object} options
+     * @param {Function} options.create - async (oldSound) => a loaded, stopped instance of the same file
+     * @param {Function} options.offset - () => position (seconds) to start at, read as late as possible
+     * @param {boolean} options.loop
+     * @param {Function} options.isCurrent - () => false when the layer was stopped or rebuilt meanwhile
+     * @param {{sound: Document, drift: number, ambient: boolean}} options.report - For the driftCorrected hook
+     * @returns {Promise<boolean>} - True when the crossfade completed
+     */
+    async crossfadeLayer(layer, { create, offset, loop, isCurrent, report }) {
+        if (layer.resyncing) return false;
+        layer.resyncing = true;
+
+        const old = layer.sound;
+        let completed = false;
+        try {
+            const fresh = await create(old);
+
+            // Bail out if the sound was stopped or restarted while loading
+            if (!isCurrent() || layer.sound !== old) {
+                this._disposeLayerSound(fresh);
+                return false;
+            }
+
+            // Read the reference position as late as possible
+            fresh.play({ volume: 0, offset: offset(), loop });
+
+            layer.outgoing = old;
+            layer.sound = fresh;
+            layer.crossfading = true;
+
+            const target = layer.targetVolume ?? old.volume;
+            await Promise.all([
+                fresh.fade(target, { duration: RESYNC_CROSSFADE_MS, from: 0 }),
+                old.fade(0, { duration: RESYNC_CROSSFADE_MS })
+            ]);
+
+            completed = true;
+            Hooks.callAll(API_HOOKS.driftCorrected, { ...report, layer: layer.name });
+        } catch (error) {
+            console.error(`${MODULE_ID} | Error resyncing layer ${layer.name}:`, error);
+        } finally {
+            if (layer.outgoing === old) {
+                this._disposeLayerSound(old);
+                layer.outgoing = null;
+            }
+            layer.crossfading = false;
+            layer.resyncing = false;
+        }
+        return completed;
+    }
+
+    /**
+     * Stop a layer instance and release its audio nodes
+     * @param {Object} layerSound - foundry.audio.Sound or ScheduledLayer
+     * @private
+     */
+    _disposeLayerSound(layerSound) {
+        if (layerSound instanceof ScheduledLayer) layerSound.dispose();
+        else layerSound?.stop();
+    }
+
     /**
      * Stop drift monitoring
      * @private
@@ -1051,8 +1942,10 @@ debug("Restoring playback...");
             ]);
 
             this.playingSounds.set("legacy-test", {
-                lowSound,
-                highSound,
+                layers: [
+                    { key: "low", name: "Low", path: this.lowTrackPath, sound: lowSound },
+                    { key: "high", name: "High", path: this.highTrackPath, sound: highSound }
+                ],
                 sound: { name: "Quick Test", id: "legacy-test" }
             });
 
@@ -1073,8 +1966,7 @@ debug("Restoring playback...");
         const entry = this.playingSounds.get("legacy-test");
         if (!entry) return;
 
-        if (entry.lowSound) entry.lowSound.pause();
-        if (entry.highSound) entry.highSound.pause();
+        for (const layer of entry.layers) layer.sound?.pause();
 
         this.isPaused = true;
         this.isPlaying = false;
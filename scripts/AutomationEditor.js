@@ -0,0 +1,346 @@
+import { MODULE_ID } from "./settings.js";
+import { getAutomation } from "./automation.js";
+import { parseMixVolumes } from "./triggerRules.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Plot area inside the SVG viewBox (0 0 300 150), as in the curve editor
+ */
+const PLOT = { left: 10, right: 290, top: 10, bottom: 140 };
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Layer volumes as "low=100, mid=60" text
+ * @param {Object<string, number>} volumes
+ * @returns {string}
+ */
+function formatVolumes(volumes) {
+    return Object.entries(volumes ?? {}).map(([key, volume]) => `${key}=${Math.round(volume * 100)}`).join(", ");
+}
+
+/**
+ * Edit, record and clear a sound's automation envelope
+ * Intensity points are edited on the timeline, Custom Mix points in the list below it.
+ */
+export class AutomationEditor extends HandlebarsApplicationMixin(ApplicationV2) {
+    /**
+     * @param {PlaylistSound} sound
+     * @param {Object} [options]
+     */
+    constructor(sound, options = {}) {
+        super({ id: AutomationEditor.idFor(sound), ...options });
+        this.sound = sound;
+        this.automation = foundry.utils.deepClone(getAutomation(sound));
+        this._updateHook = null;
+    }
+
+    static DEFAULT_OPTIONS = {
+        classes: ["adaptive-audio", "adaptive-audio-automation"],
+        tag: "form",
+        window: {
+            icon: "fas fa-wave-square",
+            resizable: true
+        },
+        position: {
+            width: 560,
+            height: "auto"
+        },
+        form: {
+            handler: AutomationEditor.#onSubmit,
+            closeOnSubmit: true
+        },
+        actions: {
+            record: AutomationEditor.#onRecord,
+            stopRecording: AutomationEditor.#onStopRecording,
+            addMix: AutomationEditor.#onAddMix,
+            removeMix: AutomationEditor.#onRemoveMix,
+            clear: AutomationEditor.#onClear
+        }
+    };
+
+    static PARTS = {
+        form: {
+            template: "modules/adaptive-audio/templates/automation-editor.hbs"
+        }
+    };
+
+    /**
+     * Application id of a sound's editor, so each sound has at most one open
+     * @param {PlaylistSound} sound
+     * @returns {string}
+     */
+    static idFor(sound) {
+        return `adaptive-audio-automation-${sound.id}`;
+    }
+
+    get title() {
+        return game.i18n.format(`${MODULE_ID}.automation.title`, { name: this.sound.name });
+    }
+
+    /**
+     * @type {IntensityAutomation|null}
+     */
+    get engine() {
+        return game.adaptiveAudio?.player?.automation ?? null;
+    }
+
+    async _prepareContext(options) {
+        const automation = this.automation;
+        return {
+            enabled: automation.enabled,
+            loop: automation.loop,
+            length: automation.length,
+            intensityCount: automation.intensity.length,
+            recording: !!this.engine?.isRecording(this.sound),
+            playing: !!this.engine?.player.playingSounds.has(this.sound.id),
+            mix: automation.mix.map((point, index) => ({
+                index,
+                t: point.t,
+                enabled: point.enabled,
+                volumes: formatVolumes(point.volumes)
+            }))
+        };
+    }
+
+    _onFirstRender(context, options) {
+        super._onFirstRender(context, options);
+
+        // A recording can be saved without the editor (the track looped or stopped): show the new envelope,
+        // so Save does not write the one loaded when the editor opened over it
+        this._updateHook = Hooks.on("updatePlaylistSound", (sound, changes) => {
+            if (sound.id !== this.sound.id || !foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.automation`)) return;
+            this.automation = foundry.utils.deepClone(getAutomation(sound));
+            this.render();
+        });
+    }
+
+    _onClose(options) {
+        super._onClose(options);
+        if (this._updateHook !== null) Hooks.off("updatePlaylistSound", this._updateHook);
+        this._updateHook = null;
+    }
+
+    _onRender(context, options) {
+        super._onRender(context, options);
+        this._renderTimeline(this.element.querySelector(".automation-timeline"));
+
+        // Re-draw when the length changes the time scale
+        this.element.querySelector('input[name="length"]')?.addEventListener("change", () => {
+            this._syncForm();
+            this._renderTimeline(this.element.querySelector(".automation-timeline"));
+        });
+    }
+
+    /**
+     * Seconds shown on the timeline
+     * @returns {number}
+     * @private
+     */
+    _timelineLength() {
+        const last = this.automation.intensity[this.automation.intensity.length - 1];
+        return Math.max(this.automation.length, last?.t ?? 0, 1);
+    }
+
+    /**
+     * Draw the intensity points and make them editable
+     * Drag a point to move it, double-click to add one, right-click a point to remove it.
+     * @param {SVGElement} svg
+     * @private
+     */
+    _renderTimeline(svg) {
+        if (!svg) return;
+        const points = this.automation.intensity;
+        const length = this._timelineLength();
+
+        const toSvg = (t, v) => [
+            PLOT.left + (t / length) * (PLOT.right - PLOT.left),
+            PLOT.bottom - v * (PLOT.bottom - PLOT.top)
+        ];
+        const fromEvent = (event) => {
+            const pt = svg.createSVGPoint();
+            pt.x = event.clientX;
+            pt.y = event.clientY;
+            const local = pt.matrixTransform(svg.getScreenCTM().inverse());
+            return {
+                t: Math.max(0, Math.min(1, (local.x - PLOT.left) / (PLOT.right - PLOT.left))) * length,
+                v: Math.max(0, Math.min(1, (PLOT.bottom - local.y) / (PLOT.bottom - PLOT.top)))
+            };
+        };
+
+        const draw = () => {
+            while (svg.firstChild) svg.removeChild(svg.firstChild);
+
+            // Grid at every 25% of intensity
+            for (let g = 0; g <= 4; g++) {
+                const [, y] = toSvg(0, g / 4);
+                const line = document.createElementNS(SVG_NS, "line");
+                line.setAttribute("x1", PLOT.left);
+                line.setAttribute("x2", PLOT.right);
+                line.setAttribute("y1", y);
+                line.setAttribute("y2", y);
+                line.setAttribute("class", "grid");
+                svg.appendChild(line);
+            }
+
+            // Custom Mix points as markers
+            for (const point of this.automation.mix) {
+                const [x] = toSvg(Math.min(point.t, length), 0);
+                const marker = document.createElementNS(SVG_NS, "line");
+                marker.setAttribute("x1", x);
+                marker.setAttribute("x2", x);
+                marker.setAttribute("y1", PLOT.top);
+                marker.setAttribute("y2", PLOT.bottom);
+                marker.setAttribute("class", "preview");
+                svg.appendChild(marker);
+            }
+
+            const polyline = document.createElementNS(SVG_NS, "polyline");
+            polyline.setAttribute("points", points.map(pt => toSvg(pt.t, pt.v).join(",")).join(" "));
+            polyline.setAttribute("stroke", "#4a90d9");
+            polyline.setAttribute("class", "curve active");
+            svg.appendChild(polyline);
+
+            points.forEach((pt, index) => {
+                const [cx, cy] = toSvg(pt.t, pt.v);
+                const handle = document.createElementNS(SVG_NS, "circle");
+                handle.setAttribute("cx", cx);
+                handle.setAttribute("cy", cy);
+                handle.setAttribute("r", 4);
+                handle.setAttribute("fill", "#4a90d9");
+                handle.setAttribute("class", "handle");
+                handle.dataset.index = index;
+                svg.appendChild(handle);
+            });
+        };
+
+        let drag = null;
+
+        svg.onpointerdown = (event) => {
+            const index = event.target.dataset?.index;
+            if (index === undefined || event.button !== 0) return;
+            event.preventDefault();
+            drag = { index: Number(index), pointerId: event.pointerId };
+            svg.setPointerCapture(event.pointerId);
+        };
+
+        svg.onpointermove = (event) => {
+            if (!drag || event.pointerId !== drag.pointerId) return;
+            const { t, v } = fromEvent(event);
+            const point = points[drag.index];
+
+            // Points stay between their neighbours in time
+            const min = points[drag.index - 1]?.t ?? 0;
+            const max = points[drag.index + 1]?.t ?? length;
+            point.t = Math.max(min, Math.min(max, Math.round(t * 100) / 100));
+            point.v = Math.round(v * 100) / 100;
+            draw();
+        };
+
+        const endDrag = (event) => {
+            if (!drag || event.pointerId !== drag.pointerId) return;
+            svg.releasePointerCapture(event.pointerId);
+            drag = null;
+        };
+        svg.onpointerup = endDrag;
+        svg.onpointercancel = endDrag;
+
+        svg.ondblclick = (event) => {
+            event.preventDefault();
+            const { t, v } = fromEvent(event);
+            const point = { t: Math.round(t * 100) / 100, v: Math.round(v * 100) / 100 };
+            const insertAt = points.findIndex(pt => pt.t > point.t);
+            points.splice(insertAt < 0 ? points.length : insertAt, 0, point);
+            draw();
+        };
+
+        svg.oncontextmenu = (event) => {
+            const index = event.target.dataset?.index;
+            if (index === undefined) return;
+            event.preventDefault();
+            event.stopPropagation();
+            points.splice(Number(index), 1);
+            draw();
+        };
+
+        draw();
+    }
+
+    /**
+     * Read the form fields back into this.automation (intensity points are kept in memory as edited)
+     * @private
+     */
+    _syncForm() {
+        if (this.rendered) this._applyFormData(new foundry.applications.ux.FormDataExtended(this.element).object);
+    }
+
+    /**
+     * @param {Object} formData
+     * @private
+     */
+    _applyFormData(formData) {
+        const data = foundry.utils.expandObject(formData);
+        this.automation.enabled = !!data.enabled;
+        this.automation.loop = !!data.loop;
+        this.automation.length = Math.max(0, Number(data.length) || 0);
+        this.automation.mix = Object.values(data.mix ?? {})
+            .map(row => ({ t: Math.max(0, Number(row.t) || 0), enabled: !!row.enabled, volumes: parseMixVolumes(row.volumes) }))
+            .sort((a, b) => a.t - b.t);
+    }
+
+    /**
+     * @this {AutomationEditor}
+     */
+    static #onRecord() {
+        this._syncForm();
+        this.engine?.startRecording(this.sound);
+        this.render();
+    }
+
+    /**
+     * @this {AutomationEditor}
+     */
+    static async #onStopRecording() {
+        const automation = await this.engine?.stopRecording();
+        if (automation) this.automation = foundry.utils.deepClone(getAutomation(this.sound));
+        this.render();
+    }
+
+    /**
+     * @this {AutomationEditor}
+     */
+    static #onAddMix() {
+        this._syncForm();
+        const last = this.automation.mix[this.automation.mix.length - 1];
+        this.automation.mix.push({ t: last ? last.t + 1 : 0, enabled: true, volumes: { ...last?.volumes } });
+        this.render();
+    }
+
+    /**
+     * @this {AutomationEditor}
+     */
+    static #onRemoveMix(event, target) {
+        this._syncForm();
+        this.automation.mix.splice(Number(target.closest("[data-mix-index]").dataset.mixIndex), 1);
+        this.render();
+    }
+
+    /**
+     * @this {AutomationEditor}
+     */
+    static #onClear() {
+        this._syncForm();
+        this.automation.intensity = [];
+        this.automation.mix = [];
+        this.render();
+    }
+
+    /**
+     * @this {AutomationEditor}
+     */
+    static async #onSubmit(event, form, formData) {
+        this._applyFormData(formData.object);
+        await this.sound.setFlag(MODULE_ID, "automation", this.automation);
+    }
+}
@@ -0,0 +1,255 @@
+import { MODULE_ID } from "./settings.js";
+import { createCue, getCueSheet, runCue, saveCueSheet } from "./cueSheet.js";
+import { hasAdaptiveLayers } from "./layers.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Cue sheet editor and transport: build the cues, then step through them with Previous/Next or jump to any cue
+ * Cues run from the edited rows, so changes can be tried before they are saved.
+ * Switching sheets keeps the unsaved edits of the one left in memory; only Save writes a sheet.
+ */
+export class CueSheetApp extends HandlebarsApplicationMixin(ApplicationV2) {
+    constructor(options = {}) {
+        super(options);
+
+        // Start on the active scene's sheet when it has one
+        const scene = game.scenes.active;
+        this.sceneId = scene && getCueSheet(scene).length ? scene.id : null;
+        this.cues = foundry.utils.deepClone(getCueSheet(this.scene));
+
+        // Index of the cue that ran last (-1 before the first)
+        this.current = -1;
+
+        // Edits of the sheets switched away from (scene id, or "" for the world -> {cues, current})
+        this.drafts = new Map();
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: "adaptive-audio-cue-sheet",
+        classes: ["adaptive-audio", "adaptive-audio-cue-sheet"],
+        tag: "form",
+        window: {
+            title: "adaptive-audio.cueSheet.title",
+            icon: "fas fa-list-ol",
+            resizable: true
+        },
+        position: {
+            width: 640,
+            height: "auto"
+        },
+        form: {
+            handler: CueSheetApp.#onSubmit,
+            closeOnSubmit: false
+        },
+        actions: {
+            addCue: CueSheetApp.#onAddCue,
+            removeCue: CueSheetApp.#onRemoveCue,
+            moveCue: CueSheetApp.#onMoveCue,
+            runCue: CueSheetApp.#onRunCue,
+            previous: CueSheetApp.#onPrevious,
+            next: CueSheetApp.#onNext
+        }
+    };
+
+    static PARTS = {
+        form: {
+            template: "modules/adaptive-audio/templates/cue-sheet.hbs"
+        }
+    };
+
+    /**
+     * The scene whose sheet is open, or null for the world sheet
+     * @type {Scene|null}
+     */
+    get scene() {
+        return this.sceneId ? game.scenes.get(this.sceneId) ?? null : null;
+    }
+
+    async _prepareContext(options) {
+        const toOptions = (entries, selected) => entries.map(([value, label]) => ({ value, label, selected: value === selected }));
+
+        const sounds = game.playlists.contents.flatMap(p => p.sounds.contents
+            .filter(s => hasAdaptiveLayers(s))
+            .map(s => [s.uuid, `${p.name}: ${s.name}`]));
+        const playlists = game.playlists.contents.map(p => [p.id, p.name]);
+        const none = game.i18n.localize(`${MODULE_ID}.cueSheet.none`);
+
+        // Sheets with edits kept in memory are marked, so they are not forgotten unsaved
+        const sourceLabel = (id, name) => this._isUnsaved(id) ? game.i18n.format(`${MODULE_ID}.cueSheet.unsaved`, { name }) : name;
+        const sources = [
+            ["", sourceLabel("", game.i18n.localize(`${MODULE_ID}.cueSheet.world`))],
+            ...game.scenes.contents.map(s => [s.id, sourceLabel(s.id, game.i18n.format(`${MODULE_ID}.cueSheet.scene`, { name: s.name }))])
+        ];
+
+        return {
+            sources: toOptions(sources, this.sceneId ?? ""),
+            currentName: this.cues[this.current]?.name ?? null,
+            hasPrevious: this.current > 0,
+            hasNext: this.current < this.cues.length - 1,
+            cues: this.cues.map((cue, index) => ({
+                ...cue,
+                index,
+                number: index + 1,
+                active: index === this.current,
+                intensity: cue.intensity ?? "",
+                sounds: toOptions([["", none], ...sounds], cue.soundUuid ?? ""),
+                playlists: toOptions([["", none], ...playlists], cue.stopPlaylistId ?? "")
+            }))
+        };
+    }
+
+    _onRender(context, options) {
+        super._onRender(context, options);
+
+        // Switching sheets keeps the open one's edits in memory, without saving them
+        this.element.querySelector('[data-role="source"]')?.addEventListener("change", (event) => {
+            this._syncCues();
+            this.drafts.set(this.sceneId ?? "", { cues: this.cues, current: this.current });
+
+            this.sceneId = event.target.value || null;
+            const draft = this.drafts.get(this.sceneId ?? "");
+            this.drafts.delete(this.sceneId ?? "");
+            this.cues = draft?.cues ?? foundry.utils.deepClone(getCueSheet(this.scene));
+            this.current = draft?.current ?? -1;
+            this.render();
+        });
+    }
+
+    /**
+     * Whether a sheet switched away from has edits that differ from its saved version
+     * @param {string} sourceId - Scene id, or "" for the world sheet
+     * @returns {boolean}
+     * @private
+     */
+    _isUnsaved(sourceId) {
+        const draft = this.drafts.get(sourceId);
+        if (!draft) return false;
+        const saved = getCueSheet(sourceId ? game.scenes.get(sourceId) ?? null : null);
+        return !foundry.utils.objectsEqual({ cues: draft.cues }, { cues: saved });
+    }
+
+    /**
+     * Run a cue and make it the current one
+     * @param {number} index
+     */
+    async goTo(index) {
+        this._syncCues();
+        const cue = this.cues[index];
+        const player = game.adaptiveAudio?.player;
+        if (!cue || !player) return;
+
+        this.current = index;
+        this.render();
+        try {
+            await runCue(player, cue);
+        } catch (err) {
+            console.error(`${MODULE_ID} | Cue "${cue.name}" failed:`, err);
+            ui.notifications.error(game.i18n.format(`${MODULE_ID}.cueSheet.failed`, { name: cue.name }));
+        }
+    }
+
+    /**
+     * @param {HTMLElement} target - An element inside a cue row
+     * @returns {number} - Index of the cue row
+     * @private
+     */
+    _cueIndex(target) {
+        return Number(target.closest("[data-cue-index]").dataset.cueIndex);
+    }
+
+    /**
+     * Read the edited rows back into this.cues (before a re-render)
+     * @private
+     */
+    _syncCues() {
+        if (this.rendered) this.cues = this._cuesFromForm(new foundry.applications.ux.FormDataExtended(this.element).object);
+    }
+
+    /**
+     * Build the cue list from flat form data
+     * @param {Object} formData
+     * @returns {Object[]}
+     * @private
+     */
+    _cuesFromForm(formData) {
+        const number = (value) => value === "" || value === null || value === undefined || !Number.isFinite(Number(value)) ? null : Number(value);
+        const rows = foundry.utils.expandObject(formData).cues ?? {};
+        return Object.values(rows).map(cue => ({
+            id: cue.id || foundry.utils.randomID(),
+            name: cue.name ?? "",
+            soundUuid: cue.soundUuid || null,
+            transition: Math.max(0, number(cue.transition) ?? 0),
+            intensity: number(cue.intensity),
+            fade: Math.max(0, number(cue.fade) ?? 0),
+            customMix: String(cue.customMix ?? "").trim(),
+            stopPlaylistId: cue.stopPlaylistId || null
+        }));
+    }
+
+    /**
+     * @this {CueSheetApp}
+     */
+    static #onAddCue() {
+        this._syncCues();
+        this.cues.push(createCue(this.cues.length + 1));
+        this.render();
+    }
+
+    /**
+     * @this {CueSheetApp}
+     */
+    static #onRemoveCue(event, target) {
+        this._syncCues();
+        const index = this._cueIndex(target);
+        this.cues.splice(index, 1);
+        if (this.current >= index) this.current--;
+        this.render();
+    }
+
+    /**
+     * @this {CueSheetApp}
+     */
+    static #onMoveCue(event, target) {
+        this._syncCues();
+        const index = this._cueIndex(target);
+        const swap = index + Number(target.dataset.direction);
+        if (swap < 0 || swap >= this.cues.length) return;
+        [this.cues[index], this.cues[swap]] = [this.cues[swap], this.cues[index]];
+        if (this.current === index) this.current = swap;
+        else if (this.current === swap) this.current = index;
+        this.render();
+    }
+
+    /**
+     * @this {CueSheetApp}
+     */
+    static #onRunCue(event, target) {
+        this.goTo(this._cueIndex(target));
+    }
+
+    /**
+     * @this {CueSheetApp}
+     */
+    static #onPrevious() {
+        this.goTo(this.current - 1);
+    }
+
+    /**
+     * @this {CueSheetApp}
+     */
+    static #onNext() {
+        this.goTo(this.current + 1);
+    }
+
+    /**
+     * @this {CueSheetApp}
+     */
+    static async #onSubmit(event, form, formData) {
+        this.cues = this._cuesFromForm(formData.object);
+        await saveCueSheet(this.scene, this.cues);
+        ui.notifications.info(this.scene
+            ? game.i18n.format(`${MODULE_ID}.cueSheet.savedScene`, { name: this.scene.name })
+            : game.i18n.localize(`${MODULE_ID}.cueSheet.savedWorld`));
+    }
+}
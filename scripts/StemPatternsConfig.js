@@ -0,0 +1,167 @@
+import { MODULE_ID } from "./settings.js";
+import { DEFAULT_BASE_LAYER_NAME } from "./layers.js";
+import { BUILTIN_STEM_PATTERNS, deriveStemFiles, formatLayerTemplates, parseLayerTemplates, stemPatternName } from "./stemPatterns.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Settings menu for switching built-in stem naming patterns and editing the GM's own
+ */
+export class StemPatternsConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+    constructor(options = {}) {
+        super(options);
+        this.patterns = foundry.utils.deepClone(game.settings.get(MODULE_ID, "stemPatterns") ?? []);
+        this.disabled = new Set(game.settings.get(MODULE_ID, "disabledStemPatterns") ?? []);
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: "adaptive-audio-stem-patterns",
+        classes: ["adaptive-audio", "adaptive-audio-stem-patterns"],
+        tag: "form",
+        window: {
+            title: "adaptive-audio.stemPatterns.title",
+            icon: "fas fa-file-audio",
+            resizable: true
+        },
+        position: {
+            width: 600,
+            height: "auto"
+        },
+        form: {
+            handler: StemPatternsConfig.#onSubmit,
+            closeOnSubmit: true
+        },
+        actions: {
+            addPattern: StemPatternsConfig.#onAddPattern,
+            removePattern: StemPatternsConfig.#onRemovePattern
+        }
+    };
+
+    static PARTS = {
+        form: {
+            template: "modules/adaptive-audio/templates/stem-patterns.hbs"
+        }
+    };
+
+    async _prepareContext(options) {
+        return {
+            builtins: BUILTIN_STEM_PATTERNS.map(pattern => ({
+                id: pattern.id,
+                name: stemPatternName(pattern),
+                enabled: !this.disabled.has(pattern.id),
+                files: [...pattern.layers.map(layer => layer.template), pattern.main].join(", "),
+                pathIncludes: pattern.pathIncludes
+            })),
+            patterns: this.patterns.map((pattern, index) => ({
+                index,
+                id: pattern.id,
+                name: pattern.name ?? "",
+                enabled: pattern.enabled !== false,
+                pathIncludes: pattern.pathIncludes ?? "",
+                main: pattern.main ?? "",
+                topName: pattern.topName ?? "",
+                layers: formatLayerTemplates(pattern.layers),
+                nameFromFolder: !!pattern.nameFromFolder
+            }))
+        };
+    }
+
+    _onRender(context, options) {
+        super._onRender(context, options);
+
+        // Show which pattern a file name would use, with the patterns as currently edited
+        const testInput = this.element.querySelector('[data-role="test-path"]');
+        const testResult = this.element.querySelector('[data-role="test-result"]');
+        testInput?.addEventListener("input", () => {
+            this._syncForm();
+            testResult.textContent = this._describeMatch(testInput.value.trim());
+        });
+    }
+
+    /**
+     * Describe the first enabled pattern matching a path (file existence is only checked in the sound configuration)
+     * @param {string} path
+     * @returns {string}
+     * @private
+     */
+    _describeMatch(path) {
+        if (!path) return "";
+        const patterns = [
+            ...this.patterns.filter(p => p.enabled !== false && p.main),
+            ...BUILTIN_STEM_PATTERNS.filter(p => !this.disabled.has(p.id))
+        ];
+        for (const pattern of patterns) {
+            const derived = deriveStemFiles(pattern, path);
+            if (derived?.layers.length) {
+                return `${stemPatternName(pattern)}: ${derived.layers.map(layer => `${layer.name} = ${layer.file}`).join(", ")}`;
+            }
+        }
+        return game.i18n.localize(`${MODULE_ID}.stemPatterns.noMatch`);
+    }
+
+    /**
+     * Read the edited rows back into this.patterns and this.disabled (before a re-render)
+     * @private
+     */
+    _syncForm() {
+        if (this.rendered) this._applyFormData(new foundry.applications.ux.FormDataExtended(this.element).object);
+    }
+
+    /**
+     * @param {Object} formData
+     * @private
+     */
+    _applyFormData(formData) {
+        const data = foundry.utils.expandObject(formData);
+        this.disabled = new Set(BUILTIN_STEM_PATTERNS.filter(p => !data.builtins?.[p.id]).map(p => p.id));
+        this.patterns = Object.values(data.patterns ?? {}).map(pattern => ({
+            id: pattern.id || foundry.utils.randomID(),
+            name: pattern.name?.trim() ?? "",
+            enabled: !!pattern.enabled,
+            pathIncludes: pattern.pathIncludes?.trim() ?? "",
+            main: pattern.main?.trim() ?? "",
+            layers: parseLayerTemplates(pattern.layers),
+            topName: pattern.topName?.trim() ?? "",
+            nameFromFolder: !!pattern.nameFromFolder
+        }));
+    }
+
+    /**
+     * @this {StemPatternsConfig}
+     */
+    static #onAddPattern() {
+        this._syncForm();
+        this.patterns.push({
+            id: foundry.utils.randomID(),
+            name: game.i18n.format(`${MODULE_ID}.stemPatterns.defaultName`, { number: this.patterns.length + 1 }),
+            enabled: true,
+            pathIncludes: "",
+            main: "{base}_high.{ext}",
+            layers: [
+                { name: "Low", template: "{base}_low.{ext}" },
+                { name: "Mid", template: "{base}_mid.{ext}" }
+            ],
+            topName: DEFAULT_BASE_LAYER_NAME,
+            nameFromFolder: false
+        });
+        this.render();
+    }
+
+    /**
+     * @this {StemPatternsConfig}
+     */
+    static #onRemovePattern(event, target) {
+        this._syncForm();
+        this.patterns.splice(Number(target.closest("[data-pattern-index]").dataset.patternIndex), 1);
+        this.render();
+    }
+
+    /**
+     * @this {StemPatternsConfig}
+     */
+    static async #onSubmit(event, form, formData) {
+        this._applyFormData(formData.object);
+        await game.settings.set(MODULE_ID, "stemPatterns", this.patterns);
+        await game.settings.set(MODULE_ID, "disabledStemPatterns", [...this.disabled]);
+    }
+}
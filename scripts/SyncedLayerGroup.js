@@ -0,0 +1,275 @@
+import { MODULE_ID, debug } from "./settings.js";
+
+/**
+ * Seconds between scheduling and the shared start tick
+ * Gives every layer's start() call time to land before playback begins
+ */
+const SCHEDULE_LEAD = 0.1;
+
+/**
+ * Time constant (seconds) for volume changes, avoids zipper noise while sliders move
+ */
+const VOLUME_SMOOTHING = 0.015;
+
+/**
+ * Get the AudioContext Foundry uses for playlist music
+ * @returns {AudioContext}
+ */
+export function getMusicContext() {
+    return game.audio.music;
+}
+
+/**
+ * Decode an audio file into an AudioBuffer
+ * Uses Foundry's shared buffer cache when available so preloading and playback share decoded data.
+ * @param {string} path
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function loadLayerBuffer(path) {
+    if (game.audio.buffers?.load) return game.audio.buffers.load(path);
+
+    const response = await fetch(path);
+    if (!response.ok) throw new Error(`Failed to fetch ${path}: ${response.status}`);
+    return getMusicContext().decodeAudioData(await response.arrayBuffer());
+}
+
+/**
+ * A single decoded layer played through an AudioBufferSourceNode
+ * Exposes the subset of the foundry.audio.Sound interface the player relies on
+ * (volume, currentTime, duration, playing, play, pause, stop, fade).
+ */
+export class ScheduledLayer {
+    /**
+     * @param {AudioBuffer} buffer
+     * @param {Object} options
+     * @param {AudioContext} options.context
+     * @param {AudioNode} options.destination
+     * @param {number} options.loopLength - Shared loop length (seconds) for the whole group
+     */
+    constructor(buffer, { context, destination, loopLength }) {
+        this.buffer = buffer;
+        this.context = context;
+        this.destination = destination;
+        this.loopLength = loopLength;
+        this.loop = false;
+
+        this.gainNode = context.createGain();
+        this.gainNode.gain.value = 0;
+        this.gainNode.connect(destination);
+        this._volume = 0;
+
+        this.source = null;
+        this._startedAt = 0;   // Context time at which playback (will) begin
+        this._startOffset = 0; // Buffer offset at _startedAt
+        this._pausedAt = null; // Buffer offset when paused
+        this.ended = false;    // Reached the end of a non-looping buffer
+    }
+
+    get duration() {
+        return this.buffer.duration;
+    }
+
+    get loaded() {
+        return true;
+    }
+
+    get playing() {
+        return !!this.source;
+    }
+
+    /**
+     * Playback position in seconds, derived from the context clock
+     */
+    get currentTime() {
+        if (!this.source) return this._pausedAt ?? 0;
+        const elapsed = Math.max(0, this.context.currentTime - this._startedAt);
+        const position = this._startOffset + elapsed;
+        if (this.loop && this.loopLength > 0) return position % this.loopLength;
+        return Math.min(position, this.duration);
+    }
+
+    get volume() {
+        return this._volume;
+    }
+
+    set volume(value) {
+        this._volume = value;
+        const gain = this.gainNode.gain;
+        gain.cancelScheduledValues(this.context.currentTime);
+        gain.setTargetAtTime(value, this.context.currentTime, VOLUME_SMOOTHING);
+    }
+
+    /**
+     * Schedule the layer at an exact context time
+     * @param {number} when - AudioContext time to start at
+     * @param {number} offset - Buffer offset (seconds) at `when`
+     * @param {boolean} loop
+     */
+    startAt(when, offset, loop) {
+        this._disconnectSource();
+
+        this.loop = loop;
+        const length = loop && this.loopLength > 0 ? this.loopLength : this.duration;
+        const startOffset = loop ? offset % length : Math.min(offset, this.duration);
+
+        const source = this.context.createBufferSource();
+        source.buffer = this.buffer;
+        if (loop) {
+            source.loop = true;
+            source.loopStart = 0;
+            source.loopEnd = length;
+        }
+        source.connect(this.gainNode);
+        // Natural end of a non-looping layer (manual stops clear this handler first)
+        source.onended = () => {
+            if (this.source !== source) return;
+            this.source = null;
+            this.ended = true;
+        };
+        source.start(when, startOffset);
+
+        this.source = source;
+        this.ended = false;
+        this._startedAt = when;
+        this._startOffset = startOffset;
+        this._pausedAt = null;
+    }
+
+    /**
+     * Start immediately (compatible with foundry.audio.Sound#play)
+     * @param {Object} [options]
+     * @param {number} [options.offset] - Defaults to the paused position, or 0
+     * @param {number} [options.volume]
+     * @param {boolean} [options.loop]
+     */
+    play({ offset, volume, loop } = {}) {
+        if (volume !== undefined) this.volume = volume;
+        this.startAt(this.context.currentTime, offset ?? this._pausedAt ?? 0, loop ?? this.loop);
+    }
+
+    pause() {
+        if (!this.source) return;
+        this._pausedAt = this.currentTime;
+        this._disconnectSource();
+    }
+
+    stop() {
+        this._disconnectSource();
+        this._pausedAt = null;
+    }
+
+    /**
+     * Ramp volume linearly (compatible with foundry.audio.Sound#fade)
+     * @param {number} volume - Target volume
+     * @param {Object} [options]
+     * @param {number} [options.duration=1000] - Milliseconds
+     * @param {number} [options.from] - Starting volume, defaults to the current volume
+     * @returns {Promise<void>}
+     */
+    fade(volume, { duration = 1000, from } = {}) {
+        const now = this.context.currentTime;
+        const gain = this.gainNode.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(from ?? gain.value, now);
+        gain.linearRampToValueAtTime(volume, now + duration / 1000);
+        this._volume = volume;
+        return new Promise(resolve => setTimeout(resolve, duration));
+    }
+
+    /**
+     * Create a silent, stopped instance of this layer sharing the same decoded buffer and output
+     * @returns {ScheduledLayer}
+     */
+    clone() {
+        return new ScheduledLayer(this.buffer, {
+            context: this.context,
+            destination: this.destination,
+            loopLength: this.loopLength
+        });
+    }
+
+    /**
+     * Release all audio nodes
+     */
+    dispose() {
+        this.stop();
+        this.gainNode.disconnect();
+    }
+
+    _disconnectSource() {
+        if (!this.source) return;
+        const source = this.source;
+        this.source = null;
+        source.onended = null;
+        try {
+            source.stop();
+        } catch (e) {
+            // Already stopped
+        }
+        source.disconnect();
+    }
+}
+
+/**
+ * A set of decoded layers started on the same AudioContext tick with a shared loop length,
+ * so the layers cannot drift relative to each other.
+ */
+export class SyncedLayerGroup {
+    /**
+     * @param {Array<{key: string, name: string, path: string}>} layers - Lowest first
+     * @param {Object} [options]
+     * @param {AudioContext} [options.context] - Defaults to Foundry's music context
+     * @param {AudioNode} [options.destination] - Defaults to the context's volume node
+     */
+    constructor(layers, { context, destination } = {}) {
+        this.context = context ?? getMusicContext();
+        this.destination = destination ?? this.context.gainNode ?? this.context.destination;
+        this.layerDefs = layers;
+        this.layers = [];
+        this.loopLength = 0;
+    }
+
+    /**
+     * Decode every layer
+     * @returns {Promise<Array<{key: string, name: string, path: string, sound: ScheduledLayer}>>}
+     */
+    async load() {
+        const buffers = await Promise.all(this.layerDefs.map(layer => loadLayerBuffer(layer.path)));
+
+        // Loop on the shortest layer so every layer wraps at the same boundary
+        this.loopLength = Math.min(...buffers.map(buffer => buffer.duration));
+        const longest = Math.max(...buffers.map(buffer => buffer.duration));
+        if (longest - this.loopLength > 0.05) {
+            console.warn(`${MODULE_ID} | Layer lengths differ by ${((longest - this.loopLength) * 1000).toFixed(0)}ms, looping at the shortest layer`);
+        }
+
+        this.layers = this.layerDefs.map((layer, i) => ({
+            ...layer,
+            sound: new ScheduledLayer(buffers[i], {
+                context: this.context,
+                destination: this.destination,
+                loopLength: this.loopLength
+            })
+        }));
+        return this.layers;
+    }
+
+    /**
+     * Start every layer on the same future tick
+     * @param {Object} [options]
+     * @param {number} [options.offset=0] - Position (seconds) to start from
+     * @param {boolean} [options.loop=false]
+     * @param {number} [options.delay=0] - Seconds from now to start at (at least the scheduling lead)
+     * @returns {number} - The AudioContext time playback begins
+     */
+    start({ offset = 0, loop = false, delay = 0 } = {}) {
+        const when = this.context.currentTime + Math.max(delay, SCHEDULE_LEAD);
+        for (const layer of this.layers) layer.sound.startAt(when, offset, loop);
+        debug(`Scheduled ${this.layers.length} layers at context time ${when.toFixed(3)} (offset ${offset.toFixed(2)}s)`);
+        return when;
+    }
+
+    stop() {
+        for (const layer of this.layers) layer.sound.dispose();
+    }
+}
@@ -0,0 +1,181 @@
+import { MODULE_ID } from "./settings.js";
+import { TRIGGER_EVENTS, TRIGGER_ACTIONS, getTriggerRules } from "./triggerRules.js";
+import { getChannels, DEFAULT_CHANNEL } from "./channels.js";
+import { hasAdaptiveLayers } from "./layers.js";
+import { IMPULSE_CURVES } from "./AdaptiveAudioPlayer.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Settings menu for editing trigger rules
+ */
+export class TriggerRulesConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+    constructor(options = {}) {
+        super(options);
+        this.rules = foundry.utils.deepClone(getTriggerRules());
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: "adaptive-audio-trigger-rules",
+        classes: ["adaptive-audio", "adaptive-audio-trigger-rules"],
+        tag: "form",
+        window: {
+            title: "adaptive-audio.triggerRules.title",
+            icon: "fas fa-bolt",
+            resizable: true
+        },
+        position: {
+            width: 640,
+            height: "auto"
+        },
+        form: {
+            handler: TriggerRulesConfig.#onSubmit,
+            closeOnSubmit: true
+        },
+        actions: {
+            addRule: TriggerRulesConfig.#onAddRule,
+            removeRule: TriggerRulesConfig.#onRemoveRule
+        }
+    };
+
+    static PARTS = {
+        form: {
+            template: "modules/adaptive-audio/templates/trigger-rules.hbs"
+        }
+    };
+
+    async _prepareContext(options) {
+        const toOptions = (entries, selected) => entries.map(([value, label]) => ({ value, label, selected: value === selected }));
+        const localized = (entries) => Object.entries(entries).map(([k, v]) => [k, game.i18n.localize(v.label)]);
+
+        const actors = game.actors.contents.map(a => [a.id, a.name]).sort((a, b) => a[1].localeCompare(b[1]));
+        const scenes = game.scenes.contents.map(s => [s.id, s.name]);
+        const sounds = game.playlists.contents.flatMap(p => p.sounds.contents
+            .filter(s => hasAdaptiveLayers(s))
+            .map(s => [s.uuid, `${p.name}: ${s.name}`]));
+        const channels = getChannels().map(c => [c.id, c.name]);
+
+        return {
+            rules: this.rules.map((rule, index) => {
+                const event = rule.event ?? {};
+                const action = rule.action ?? {};
+                return {
+                    index,
+                    id: rule.id,
+                    name: rule.name ?? "",
+                    enabled: rule.enabled !== false,
+                    event: {
+                        ...event,
+                        threshold: event.threshold ?? 50,
+                        types: toOptions(localized(TRIGGER_EVENTS), event.type),
+                        actors: toOptions([["", game.i18n.localize(`${MODULE_ID}.triggerRules.anyActor`)], ...actors], event.actorId ?? ""),
+                        scenes: toOptions([["", game.i18n.localize(`${MODULE_ID}.triggerRules.anyScene`)], ...scenes], event.sceneId ?? "")
+                    },
+                    action: {
+                        ...action,
+                        intensity: action.intensity ?? 50,
+                        amount: action.amount ?? 30,
+                        duration: action.duration ?? 2,
+                        volumes: action.volumes ?? "",
+                        types: toOptions(localized(TRIGGER_ACTIONS), action.type),
+                        channels: toOptions(channels, action.channel || DEFAULT_CHANNEL),
+                        curves: toOptions(localized(IMPULSE_CURVES), action.curve || "exponential"),
+                        sounds: toOptions(sounds, action.soundUuid ?? "")
+                    }
+                };
+            })
+        };
+    }
+
+    _onRender(context, options) {
+        super._onRender(context, options);
+
+        // Only show the options used by the selected event and action types
+        const toggleFields = (row) => {
+            const eventFields = TRIGGER_EVENTS[row.querySelector('[data-role="event-type"]').value]?.fields ?? [];
+            const actionFields = TRIGGER_ACTIONS[row.querySelector('[data-role="action-type"]').value]?.fields ?? [];
+            for (const el of row.querySelectorAll("[data-event-field]")) el.hidden = !eventFields.includes(el.dataset.eventField);
+            for (const el of row.querySelectorAll("[data-action-field]")) el.hidden = !actionFields.includes(el.dataset.actionField);
+        };
+
+        for (const row of this.element.querySelectorAll("[data-rule-index]")) toggleFields(row);
+        for (const select of this.element.querySelectorAll('[data-role="event-type"], [data-role="action-type"]')) {
+            select.addEventListener("change", () => {
+                toggleFields(select.closest("[data-rule-index]"));
+                this.setPosition({ height: "auto" });
+            });
+        }
+    }
+
+    /**
+     * Read the edited rows back into this.rules (before adding or removing a row re-renders the form)
+     * @private
+     */
+    _syncRules() {
+        if (this.rendered) this.rules = this._rulesFromForm(new foundry.applications.ux.FormDataExtended(this.element).object);
+    }
+
+    /**
+     * Build the rule list from flat form data
+     * @param {Object} formData
+     * @returns {Object[]}
+     * @private
+     */
+    _rulesFromForm(formData) {
+        const rows = foundry.utils.expandObject(formData).rules ?? {};
+        return Object.values(rows).map(rule => ({
+            id: rule.id || foundry.utils.randomID(),
+            name: rule.name ?? "",
+            enabled: !!rule.enabled,
+            event: {
+                type: rule.event?.type,
+                threshold: Number(rule.event?.threshold ?? 50),
+                actorId: rule.event?.actorId || null,
+                sceneId: rule.event?.sceneId || null,
+                onResume: !!rule.event?.onResume
+            },
+            action: {
+                type: rule.action?.type,
+                intensity: Number(rule.action?.intensity ?? 50),
+                amount: Number(rule.action?.amount ?? 30),
+                curve: rule.action?.curve || "exponential",
+                duration: Number(rule.action?.duration ?? 2),
+                channel: rule.action?.channel || DEFAULT_CHANNEL,
+                volumes: rule.action?.volumes ?? "",
+                soundUuid: rule.action?.soundUuid || null
+            }
+        }));
+    }
+
+    /**
+     * @this {TriggerRulesConfig}
+     */
+    static #onAddRule() {
+        this._syncRules();
+        this.rules.push({
+            id: foundry.utils.randomID(),
+            name: game.i18n.format(`${MODULE_ID}.triggerRules.defaultName`, { number: this.rules.length + 1 }),
+            enabled: true,
+            event: { type: "hpBelow", threshold: 50 },
+            action: { type: "fade", intensity: 80, duration: 2, channel: DEFAULT_CHANNEL }
+        });
+        this.render();
+    }
+
+    /**
+     * @this {TriggerRulesConfig}
+     */
+    static #onRemoveRule(event, target) {
+        this._syncRules();
+        this.rules.splice(Number(target.closest("[data-rule-index]").dataset.ruleIndex), 1);
+        this.render();
+    }
+
+    /**
+     * @this {TriggerRulesConfig}
+     */
+    static async #onSubmit(event, form, formData) {
+        this.rules = this._rulesFromForm(formData.object);
+        await game.settings.set(MODULE_ID, "triggerRules", this.rules);
+    }
+}
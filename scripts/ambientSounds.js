@@ -0,0 +1,293 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { getSoundLayers, hasAdaptiveLayers, normalizeLayerChanges } from "./layers.js";
+import { normalizeCurveChanges, resolveMixCurve } from "./mixCurves.js";
+import { resolveChannel } from "./channels.js";
+
+/**
+ * Adaptive AmbientSounds: an AmbientSound with layer flags plays every layer as its own positional sound.
+ *
+ * Foundry keeps computing the audible volume of the source (distance attenuation, walls, muffling) and passes
+ * it to AmbientSound#sync. The patched sync splits that volume across the layers with the usual mixing curve,
+ * so the top layer (the document's own `path`) stays Foundry's sound and the layers below it follow it.
+ * Like Foundry's own ambient playback, each layer starts at `context.currentTime % duration`, so stems of
+ * equal length line up, on every client, without any coordination.
+ */
+
+/**
+ * Largest offset (seconds) between a layer and the top layer before it is realigned
+ */
+const AMBIENT_DRIFT_THRESHOLD = 0.1;
+
+/**
+ * Minimum time (ms) between mix refreshes while intensity moves, also used as their fade
+ */
+const AMBIENT_REFRESH_INTERVAL = 50;
+
+/**
+ * Placeables with layers: AmbientSound -> {layers, args}
+ * `layers` are the loaded layer sounds below the top layer, `args` the last sync call, replayed on intensity changes.
+ */
+const ambientState = new Map();
+
+let driftInterval = null;
+let refreshTimeout = null;
+
+/**
+ * Patch AmbientSound so adaptive sources play their layers
+ */
+export function patchAmbientSounds() {
+    const AmbientSoundClass = foundry.canvas.placeables.AmbientSound;
+
+    const originalSync = AmbientSoundClass.prototype.sync;
+    AmbientSoundClass.prototype.sync = function(isAudible, volume, options = {}) {
+        try {
+            if (this.sound && hasAdaptiveLayers(this.document)) {
+                return syncAdaptiveAmbient(this, originalSync, isAudible, volume, options);
+            }
+            if (ambientState.has(this)) releaseLayers(this);
+        } catch (err) {
+            console.error(`${MODULE_ID} | Error in ambient sound sync patch:`, err);
+        }
+        return originalSync.call(this, isAudible, volume, options);
+    };
+
+    const originalDestroy = AmbientSoundClass.prototype._destroy;
+    AmbientSoundClass.prototype._destroy = function(options) {
+        releaseLayers(this);
+        return originalDestroy.call(this, options);
+    };
+
+    // The config form submits the layer list and mix curve as JSON - store them as real data
+    Hooks.on("preUpdateAmbientSound", (document, changes) => {
+        normalizeLayerChanges(changes);
+        normalizeCurveChanges(changes);
+    });
+    Hooks.on("preCreateAmbientSound", (document, data) => {
+        normalizeLayerChanges(data);
+        normalizeCurveChanges(data);
+    });
+
+    // Layer or path changes rebuild the layers on the next sync
+    Hooks.on("updateAmbientSound", (document, changes) => {
+        if (!foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`) && !("path" in changes)) return;
+        const placeable = document.object;
+        if (!placeable) return;
+        releaseLayers(placeable);
+        canvas.sounds?.refresh();
+    });
+}
+
+/**
+ * Re-apply the mix of every adaptive AmbientSound (after an intensity or Custom Mix change)
+ * Calls during a fade are coalesced, so sources are re-synced at most every AMBIENT_REFRESH_INTERVAL.
+ */
+export function refreshAmbientSounds() {
+    if (refreshTimeout || !ambientState.size) return;
+    refreshTimeout = setTimeout(() => {
+        refreshTimeout = null;
+        for (const [placeable, state] of ambientState) {
+            if (!state.args) continue;
+            const [isAudible, volume, options] = state.args;
+            placeable.sync(isAudible, volume, { ...options, fade: AMBIENT_REFRESH_INTERVAL });
+        }
+    }, AMBIENT_REFRESH_INTERVAL);
+}
+
+/**
+ * Layer volumes of an adaptive AmbientSound, lowest first (the last entry is the top layer)
+ * @param {AmbientSoundDocument} document
+ * @param {Array<{key: string}>} layers - From getSoundLayers
+ * @returns {number[]}
+ */
+export function getAmbientMix(document, layers) {
+    const player = game.adaptiveAudio?.player;
+
+    // Before the player exists, play the top layer alone, as Foundry would
+    if (!player) return layers.map((layer, i) => i === layers.length - 1 ? 1 : 0);
+
+    const override = document.getFlag(MODULE_ID, "intensity");
+    const hasOverride = override !== "" && override !== null && override !== undefined && Number.isFinite(Number(override));
+
+    if (!hasOverride && player.customMixEnabled) return layers.map(layer => player.getCustomVolume(layer.key));
+
+    const intensity = hasOverride
+        ? Math.max(0, Math.min(100, Number(override))) / 100
+        : player.getEffectiveIntensity(resolveChannel(document));
+    return player.calculateLayerMix(intensity, layers.length, resolveMixCurve(document));
+}
+
+/**
+ * Sync an adaptive AmbientSound: Foundry drives the top layer, this drives the layers below it
+ * @param {AmbientSound} placeable
+ * @param {Function} originalSync
+ * @param {boolean} isAudible
+ * @param {number} volume - Audible volume computed by Foundry for the whole source
+ * @param {Object} options - Foundry's sync options (fade, muffled)
+ * @private
+ */
+function syncAdaptiveAmbient(placeable, originalSync, isAudible, volume, options) {
+    const layers = getSoundLayers(placeable.document);
+    const mix = getAmbientMix(placeable.document, layers);
+
+    let state = ambientState.get(placeable);
+    if (!state) {
+        state = {
+            layers: layers.slice(0, -1).map(layer => ({
+                ...layer,
+                sound: game.audio.create({ src: layer.path, context: game.audio.environment, singleton: false })
+            })),
+            args: null
+        };
+        ambientState.set(placeable, state);
+        debug(`Adaptive ambient sound with ${layers.length} layers`, placeable.document.uuid);
+        startDriftMonitoring();
+    }
+    state.args = [isAudible, volume, options];
+
+    const result = originalSync.call(placeable, isAudible, volume * mix[mix.length - 1], options);
+    state.layers.forEach((layer, i) => syncLayer(placeable, layer, isAudible, volume * mix[i], options));
+    return result;
+}
+
+/**
+ * Play, fade or silence one layer the way Foundry handles the source's own sound
+ * @param {AmbientSound} placeable
+ * @param {Object} layer
+ * @param {boolean} isAudible
+ * @param {number} volume
+ * @param {Object} options
+ * @private
+ */
+function syncLayer(placeable, layer, isAudible, volume, { fade = 250, muffled = false } = {}) {
+    const sound = layer.sound;
+
+    if (!sound.loaded) {
+        if (sound.loading instanceof Promise || !isAudible) return;
+        // Once loaded, re-sync the whole source with its latest state
+        sound.load().then(() => {
+            const state = ambientState.get(placeable);
+            if (state?.layers.includes(layer)) placeable.sync(...state.args);
+        }).catch(err => console.warn(`${MODULE_ID} | Failed to load ambient layer ${layer.path}:`, err));
+        return;
+    }
+
+    applyLayerEffects(placeable, layer, muffled);
+
+    // A drift crossfade is running: it lands on the latest volume instead
+    layer.targetVolume = isAudible ? volume : 0;
+    if (layer.crossfading) return;
+
+    if (!sound.playing) {
+        if (!isAudible) return;
+        const offset = sound.context.currentTime % sound.duration;
+        sound.play({ volume, offset, fade, loop: true });
+        return;
+    }
+
+    sound.fade(isAudible ? volume : 0, { duration: fade });
+}
+
+/**
+ * Give a layer the same base or muffled effect as the source, when it changes
+ * @param {AmbientSound} placeable
+ * @param {Object} layer
+ * @param {boolean} muffled
+ * @private
+ */
+function applyLayerEffects(placeable, layer, muffled) {
+    if (layer.muffled === muffled || typeof layer.sound.applyEffects !== "function") return;
+    layer.muffled = muffled;
+
+    const effectData = muffled ? placeable.document.effects?.muffled : placeable.document.effects?.base;
+    const config = CONFIG.soundEffects?.[effectData?.type];
+    try {
+        layer.sound.applyEffects(config ? [new config.effectClass(layer.sound.context, { type: effectData.type, intensity: effectData.intensity })] : []);
+    } catch (err) {
+        debug("Could not apply ambient layer effect", err);
+    }
+}
+
+/**
+ * Stop and forget a placeable's layers
+ * @param {AmbientSound} placeable
+ * @private
+ */
+function releaseLayers(placeable) {
+    const state = ambientState.get(placeable);
+    if (!state) return;
+    for (const layer of state.layers) {
+        if (layer.sound.playing) layer.sound.stop();
+        if (layer.outgoing?.playing) layer.outgoing.stop();
+    }
+    ambientState.delete(placeable);
+    if (!ambientState.size) stopDriftMonitoring();
+}
+
+/**
+ * Realign layers that drifted from their top layer (e.g. after the tab was throttled)
+ * A fresh aligned instance crossfades in over the drifted one, as for adaptive playlist sounds.
+ * @private
+ */
+function startDriftMonitoring() {
+    if (driftInterval) return;
+    driftInterval = setInterval(() => {
+        for (const [placeable, state] of ambientState) {
+            const primary = placeable.sound;
+            if (!primary?.playing) continue;
+
+            for (const layer of state.layers) {
+                const sound = layer.sound;
+                if (!sound.playing || layer.resyncing || !(sound.duration > 0)) continue;
+
+                // Both positions wrap at the loop, so compare around the loop boundary
+                const diff = Math.abs(sound.currentTime - primary.currentTime);
+                const drift = Math.min(diff, Math.abs(sound.duration - diff));
+                if (drift <= AMBIENT_DRIFT_THRESHOLD) continue;
+
+                debug(`Ambient layer "${layer.name}" drifted ${(drift * 1000).toFixed(0)}ms, realigning`);
+                resyncAmbientLayer(placeable, layer, primary, drift);
+            }
+        }
+    }, 1000);
+}
+
+/**
+ * Swap a drifted ambient layer for a fresh instance through the player's crossfaded re-entry
+ * @param {AmbientSound} placeable
+ * @param {Object} layer
+ * @param {Sound} primary - The top layer (position reference)
+ * @param {number} drift - Seconds
+ * @private
+ */
+async function resyncAmbientLayer(placeable, layer, primary, drift) {
+    const player = game.adaptiveAudio?.player;
+    if (!player) return;
+
+    const state = ambientState.get(placeable);
+    const completed = await player.crossfadeLayer(layer, {
+        create: async () => {
+            const fresh = game.audio.create({ src: layer.path, context: game.audio.environment, singleton: false });
+            await fresh.load();
+
+            // Give it the source's base or muffled effect before it becomes audible
+            if (layer.muffled !== undefined) applyLayerEffects(placeable, { sound: fresh }, layer.muffled);
+            return fresh;
+        },
+        offset: () => primary.currentTime % layer.sound.duration,
+        loop: true,
+        isCurrent: () => ambientState.get(placeable) === state && state.layers.includes(layer),
+        report: { sound: placeable.document, drift, ambient: true }
+    });
+    if (!completed || ambientState.get(placeable) !== state) return;
+
+    // Pick up any volume change that happened during the crossfade
+    if (state.args) placeable.sync(...state.args);
+}
+
+/**
+ * @private
+ */
+function stopDriftMonitoring() {
+    clearInterval(driftInterval);
+    driftInterval = null;
+}
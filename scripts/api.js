@@ -0,0 +1,302 @@
+import { MODULE_ID } from "./settings.js";
+import { getSoundLayers, hasAdaptiveLayers } from "./layers.js";
+import { DEFAULT_CHANNEL, resolveChannel } from "./channels.js";
+import { applyPreset, deletePreset, findPreset, getPresets, savePreset } from "./presets.js";
+
+/**
+ * Public API, exposed as `game.modules.get("adaptive-audio").api`
+ * Macros and other modules should use this rather than the player, whose methods may change.
+ */
+
+/**
+ * Hooks fired by the module (`Hooks.on(API_HOOKS.soundStarted, ...)` or by name)
+ *   intensityChanged - {channel, intensity, effective}   baseline or impulse moved (every frame of a fade)
+ *   mixChanged       - {enabled, volumes}                  Custom Mix toggled or a layer volume changed
+ *   soundStarted     - {sound, resumed}                    an adaptive sound started or resumed
+ *   soundPaused      - {sound, position}
+ *   soundStopped     - {sound}                             stopped for any reason, including the end of the track
+ *   soundEnded       - {sound}                             reached its end without looping (before soundStopped)
+ *   driftCorrected   - {sound, layer, drift, ambient}      a layer was realigned (drift in seconds)
+ */
+export const API_HOOKS = {
+    intensityChanged: "adaptiveAudio.intensityChanged",
+    mixChanged: "adaptiveAudio.mixChanged",
+    soundStarted: "adaptiveAudio.soundStarted",
+    soundPaused: "adaptiveAudio.soundPaused",
+    soundStopped: "adaptiveAudio.soundStopped",
+    soundEnded: "adaptiveAudio.soundEnded",
+    driftCorrected: "adaptiveAudio.driftCorrected"
+};
+
+/**
+ * How long (ms) play() waits for the layers to load and start
+ */
+const PLAY_TIMEOUT = 60000;
+
+/**
+ * Resolve once a hook fires with a matching payload
+ * @param {string} hook
+ * @param {Function} predicate - Receives the hook's first argument
+ * @param {number} timeout - Milliseconds before resolving with null
+ * @returns {Promise<Object|null>}
+ * @private
+ */
+function waitForHook(hook, predicate, timeout) {
+    return new Promise(resolve => {
+        let id = null;
+        const timer = setTimeout(() => {
+            Hooks.off(hook, id);
+            resolve(null);
+        }, timeout);
+        id = Hooks.on(hook, (payload) => {
+            if (!predicate(payload)) return;
+            clearTimeout(timer);
+            Hooks.off(hook, id);
+            resolve(payload);
+        });
+    });
+}
+
+/**
+ * Accept a document or its uuid
+ * @param {Document|string} documentOrUuid
+ * @returns {Promise<Document|null>}
+ * @private
+ */
+async function resolveDocument(documentOrUuid) {
+    if (typeof documentOrUuid === "string") return fromUuid(documentOrUuid);
+    return documentOrUuid ?? null;
+}
+
+/**
+ * Whether a sound is played by the module rather than by Foundry
+ * @param {PlaylistSound} sound
+ * @returns {boolean}
+ * @private
+ */
+function isAdaptiveSound(sound) {
+    return !!sound?.parent?.getFlag(MODULE_ID, "isAdaptive") && hasAdaptiveLayers(sound);
+}
+
+export class AdaptiveAudioAPI {
+    /**
+     * @param {AdaptiveAudioPlayer} player
+     */
+    constructor(player) {
+        this.player = player;
+    }
+
+    /**
+     * Hook names, see API_HOOKS
+     * @type {Object<string, string>}
+     */
+    get hooks() {
+        return API_HOOKS;
+    }
+
+    /**
+     * Start an adaptive sound for everyone
+     * @param {PlaylistSound|string} soundOrUuid
+     * @param {Object} [options]
+     * @param {{duration: number, curve: string}} [options.transition] - Crossfade (ms) out of every other playing adaptive sound on its channel
+     * @returns {Promise<boolean>} - Resolves once the layers are playing on this client, false if they did not start
+     */
+    async play(soundOrUuid, { transition } = {}) {
+        const sound = await resolveDocument(soundOrUuid);
+        if (!(sound instanceof PlaylistSound)) throw new Error(`${MODULE_ID} | No playlist sound found for ${soundOrUuid}`);
+        if (!sound.isOwner) throw new Error(`${MODULE_ID} | You do not have permission to play "${sound.name}"`);
+
+        // Not ours to play: let Foundry handle it
+        if (!isAdaptiveSound(sound)) {
+            await sound.update({ playing: true });
+            return true;
+        }
+
+        const entry = this.player.playingSounds.get(sound.id);
+        if (entry && !entry.paused && !entry.fadingOut) return true;
+
+        const started = waitForHook(API_HOOKS.soundStarted, ({ sound: s }) => s.id === sound.id, PLAY_TIMEOUT);
+        await sound.update({ playing: true }, transition ? { adaptiveAudioTransition: transition } : {});
+        return !!(await started);
+    }
+
+    /**
+     * Stop an adaptive sound for everyone, or every adaptive sound this user can control when none is given
+     * @param {PlaylistSound|string} [soundOrUuid]
+     * @returns {Promise<void>}
+     */
+    async stop(soundOrUuid) {
+        if (!soundOrUuid) return this.player.stopAllSounds();
+
+        const sound = await resolveDocument(soundOrUuid);
+        if (!(sound instanceof PlaylistSound)) throw new Error(`${MODULE_ID} | No playlist sound found for ${soundOrUuid}`);
+        if (!sound.isOwner) throw new Error(`${MODULE_ID} | You do not have permission to stop "${sound.name}"`);
+        if (sound.playing || this.player.playingSounds.has(sound.id)) await sound.update({ playing: false, pausedTime: null });
+    }
+
+    /**
+     * Set a channel's intensity immediately (for everyone when called by the GM)
+     * @param {number} intensity - 0.0 to 1.0
+     * @param {Object} [options]
+     * @param {string} [options.channel] - Channel id, defaults to the default channel
+     */
+    setIntensity(intensity, { channel = DEFAULT_CHANNEL } = {}) {
+        this.player.setGlobalIntensity(intensity, false, channel);
+    }
+
+    /**
+     * @param {string} [channel] - Channel id, defaults to the default channel
+     * @returns {number} - The channel's baseline intensity, 0.0 to 1.0
+     */
+    getIntensity(channel = DEFAULT_CHANNEL) {
+        return this.player.getIntensity(channel);
+    }
+
+    /**
+     * Fade a channel's intensity (for everyone when called by the GM)
+     * @param {number} intensity - Target, 0.0 to 1.0
+     * @param {number} duration - Milliseconds
+     * @param {Object} [options]
+     * @param {string} [options.easing="easeInOut"] - Key of FADE_EASINGS
+     * @param {string} [options.channel] - Channel id, defaults to the default channel
+     * @returns {Promise<boolean>} - True when the fade completes, false when another fade or a manual change replaces it
+     */
+    fadeTo(intensity, duration, { easing = "easeInOut", channel = DEFAULT_CHANNEL } = {}) {
+        return this.player.fadeTo(intensity, duration, true, { easing, channel });
+    }
+
+    /**
+     * Spike a channel's intensity and let it decay back (for everyone when called by the GM)
+     * @param {number} amount - 0.0 to 1.0
+     * @param {number} duration - Decay time in milliseconds
+     * @param {Object} [options]
+     * @param {string} [options.curve="exponential"] - Key of IMPULSE_CURVES
+     * @param {string} [options.channel] - Channel id, defaults to the default channel
+     */
+    impulse(amount, duration, { curve = "exponential", channel = DEFAULT_CHANNEL } = {}) {
+        this.player.impulse(amount, duration, { curve, channel });
+    }
+
+    /**
+     * Saved presets as stored: intensity in percent, volumes 0.0 to 1.0, fade in seconds
+     * @returns {Array<{id: string, name: string, intensity: number, customMix: boolean, volumes: Object<string, number>, fade: number}>}
+     */
+    getPresets() {
+        return foundry.utils.deepClone(getPresets());
+    }
+
+    /**
+     * Recall a preset (for everyone when called by the GM)
+     * @param {string} nameOrId
+     * @param {Object} [options]
+     * @param {number} [options.fade] - Fade time in milliseconds, overriding the preset's own
+     * @returns {Promise<boolean>} - Resolves once intensity has arrived, false if its fade was replaced
+     */
+    async applyPreset(nameOrId, { fade } = {}) {
+        const preset = findPreset(nameOrId);
+        if (!preset) throw new Error(`${MODULE_ID} | No preset named ${nameOrId}`);
+        return applyPreset(this.player, preset, fade === undefined ? {} : { fade: fade / 1000 });
+    }
+
+    /**
+     * Save the current intensity and Custom Mix as a preset (GM only), replacing one with the same name
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {number} [options.fade=0] - Fade time in milliseconds when recalled
+     * @returns {Promise<Object>} - The saved preset
+     */
+    savePreset(name, { fade = 0 } = {}) {
+        return savePreset(this.player, name, { fade: fade / 1000 });
+    }
+
+    /**
+     * Delete a preset (GM only)
+     * @param {string} nameOrId
+     * @returns {Promise<boolean>} - Whether a preset was deleted
+     */
+    deletePreset(nameOrId) {
+        return deletePreset(nameOrId);
+    }
+
+    /**
+     * Start recording intensity and Custom Mix moves against a playing sound's position (GM only)
+     * @param {PlaylistSound|string} soundOrUuid
+     */
+    async startRecording(soundOrUuid) {
+        const sound = await resolveDocument(soundOrUuid);
+        if (!(sound instanceof PlaylistSound)) throw new Error(`${MODULE_ID} | No playlist sound found for ${soundOrUuid}`);
+        this.player.automation.startRecording(sound);
+    }
+
+    /**
+     * Stop recording and save the envelope on the sound
+     * @returns {Promise<Object|null>} - The saved envelope, or null when nothing was recording
+     */
+    stopRecording() {
+        return this.player.automation.stopRecording();
+    }
+
+    /**
+     * Load layers into the cache on this client, without notifications
+     * @param {Playlist|PlaylistSound|string} [target] - A playlist, a sound or either's uuid; every adaptive playlist when omitted
+     * @returns {Promise<{sounds: number, layers: number, loaded: number, failed: string[], duration: number}>}
+     *   `failed` lists the paths that could not be loaded, `duration` is in milliseconds
+     */
+    async preload(target) {
+        const document = await resolveDocument(target);
+        let sounds;
+        if (!target) sounds = game.playlists.filter(p => p.getFlag(MODULE_ID, "isAdaptive")).flatMap(p => [...p.sounds]);
+        else if (document instanceof Playlist) sounds = [...document.sounds];
+        else if (document instanceof PlaylistSound) sounds = [document];
+        else throw new Error(`${MODULE_ID} | Nothing to preload for ${target}`);
+
+        const started = performance.now();
+        const paths = new Set(sounds.filter(hasAdaptiveLayers).flatMap(sound => getSoundLayers(sound).map(layer => layer.path)));
+        const report = { sounds: sounds.length, layers: paths.size, loaded: 0, failed: [], duration: 0 };
+
+        for (const path of paths) {
+            if (await this.player._preloadSound(path)) report.loaded++;
+            else report.failed.push(path);
+        }
+        report.duration = Math.round(performance.now() - started);
+        return report;
+    }
+
+    /**
+     * Snapshot of the mix and of what is playing on this client
+     * @returns {{intensities: Object<string, {intensity: number, effective: number}>, customMix: {enabled: boolean, volumes: Object<string, number>},
+     *   masterVolume: number, fading: string[], playing: Array<Object>}}
+     */
+    getState() {
+        const player = this.player;
+        const channels = new Set([DEFAULT_CHANNEL, ...Object.keys(player.intensities)]);
+        const intensities = Object.fromEntries([...channels].map(channel => [channel, {
+            intensity: player.getIntensity(channel),
+            effective: player.getEffectiveIntensity(channel)
+        }]));
+
+        const playing = [];
+        for (const [id, entry] of player.playingSounds) {
+            const sound = entry.sound;
+            playing.push({
+                id,
+                uuid: sound.uuid ?? null,
+                name: sound.name,
+                playlist: sound.parent?.name ?? null,
+                channel: sound instanceof PlaylistSound ? resolveChannel(sound) : DEFAULT_CHANNEL,
+                paused: !!entry.paused,
+                fadingOut: !!entry.fadingOut,
+                position: player.getSoundPosition(id),
+                layers: entry.layers.map(layer => layer.name)
+            });
+        }
+
+        return {
+            intensities,
+            customMix: { enabled: player.customMixEnabled, volumes: { ...player.customVolumes } },
+            masterVolume: player.masterVolume,
+            fading: [...player.fades.keys()],
+            playing
+        };
+    }
+}
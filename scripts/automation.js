@@ -0,0 +1,271 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { API_HOOKS } from "./api.js";
+import { resolveChannel } from "./channels.js";
+import { interpolateBreakpoints } from "./mixCurves.js";
+import { syncCustomMixToggle, syncCustomSliders } from "./sidebarIntensity.js";
+
+/**
+ * Intensity automation: the GM's moves recorded against a sound's playback position, replayed with the track
+ * Stored on the PlaylistSound as `flags.adaptive-audio.automation`:
+ *   enabled   - replay while the sound plays
+ *   loop      - repeat the envelope every `length` seconds instead of holding its last values
+ *   length    - envelope length in seconds
+ *   intensity - [{t, v}] intensity (0-1) of the sound's channel at position t (seconds), interpolated linearly
+ *   mix       - [{t, enabled, volumes}] Custom Mix state from position t until the next point
+ */
+
+/**
+ * Replay and recording resolution (ms)
+ */
+const AUTOMATION_INTERVAL = 100;
+
+/**
+ * Recorded points closer together than this (seconds) replace each other
+ */
+const RECORD_RESOLUTION = 0.1;
+
+/**
+ * Read a sound's automation envelope
+ * @param {PlaylistSound} sound
+ * @returns {{enabled: boolean, loop: boolean, length: number, intensity: Array<{t: number, v: number}>, mix: Array<{t: number, enabled: boolean, volumes: Object<string, number>}>}}
+ */
+export function getAutomation(sound) {
+    const data = sound?.getFlag?.(MODULE_ID, "automation") ?? {};
+    const byTime = (a, b) => a.t - b.t;
+    return {
+        enabled: data.enabled !== false,
+        loop: !!data.loop,
+        length: Math.max(0, Number(data.length) || 0),
+        intensity: (Array.isArray(data.intensity) ? data.intensity : [])
+            .filter(pt => Number.isFinite(pt?.t) && Number.isFinite(pt?.v))
+            .sort(byTime),
+        mix: (Array.isArray(data.mix) ? data.mix : [])
+            .filter(pt => Number.isFinite(pt?.t))
+            .map(pt => ({ t: pt.t, enabled: !!pt.enabled, volumes: { ...pt.volumes } }))
+            .sort(byTime)
+    };
+}
+
+/**
+ * Whether an envelope has anything to replay
+ * @param {Object} automation - From getAutomation
+ * @returns {boolean}
+ */
+export function hasAutomation(automation) {
+    return automation.intensity.length > 0 || automation.mix.length > 0;
+}
+
+/**
+ * Values of an envelope at a playback position
+ * @param {Object} automation - From getAutomation
+ * @param {number} position - Seconds
+ * @returns {{intensity: number|null, mixIndex: number}} - mixIndex is -1 before the first mix point
+ */
+export function evaluateAutomation(automation, position) {
+    const t = automation.loop && automation.length > 0 ? position % automation.length : position;
+    const intensity = automation.intensity.length
+        ? interpolateBreakpoints(automation.intensity.map(pt => ({ p: pt.t, v: pt.v })), t)
+        : null;
+
+    let mixIndex = -1;
+    automation.mix.forEach((pt, i) => {
+        if (pt.t <= t) mixIndex = i;
+    });
+    return { intensity, mixIndex };
+}
+
+/**
+ * Records and replays automation envelopes
+ * Replay runs on the active GM. Intensity goes through setAutomatedIntensity, which streams it to players without counting
+ * as a manual change (running fades and the combat restore point are left alone); mix points go through the Custom Mix setters.
+ */
+export class IntensityAutomation {
+    /**
+     * @param {AdaptiveAudioPlayer} player
+     */
+    constructor(player) {
+        this.player = player;
+        this.interval = null;
+
+        // The envelope being recorded: {sound, channel, intensity, mix, lastPosition, hooks}
+        this.recording = null;
+
+        // Last replayed mix point per sound id, so each point is applied once
+        this.appliedMix = new Map();
+
+        Hooks.on(API_HOOKS.soundStarted, () => this._startReplay());
+        Hooks.on(API_HOOKS.soundStopped, ({ sound }) => {
+            this.appliedMix.delete(sound.id);
+            if (this.recording?.sound.id === sound.id) {
+                this.stopRecording().catch(err => console.error(`${MODULE_ID} | Failed to save automation:`, err));
+            }
+        });
+    }
+
+    /**
+     * Start recording intensity and Custom Mix moves against a playing sound's position
+     * Anything that moves the sound's channel counts: sliders, fades, combat automation, trigger rules.
+     * @param {PlaylistSound} sound
+     */
+    startRecording(sound) {
+        const entry = this.player.playingSounds.get(sound?.id);
+        if (!game.user.isGM || !entry || entry.paused) {
+            ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.automation.notPlaying`));
+            return;
+        }
+        if (this.recording) this._endRecording();
+
+        const channel = resolveChannel(sound);
+        const position = this.player.getSoundPosition(sound.id) ?? 0;
+        this.recording = {
+            sound,
+            channel,
+            intensity: [{ t: position, v: this.player.getIntensity(channel) }],
+            mix: [{ t: position, enabled: this.player.customMixEnabled, volumes: { ...this.player.customVolumes } }],
+            lastPosition: position,
+            hooks: {
+                intensity: Hooks.on(API_HOOKS.intensityChanged, (change) => {
+                    if (change.channel === channel) this._record("intensity", { v: change.intensity });
+                }),
+                mix: Hooks.on(API_HOOKS.mixChanged, (change) => this._record("mix", { enabled: change.enabled, volumes: change.volumes }))
+            }
+        };
+
+        debug(`Recording automation for "${sound.name}" from ${position.toFixed(2)}s`);
+        ui.notifications.info(game.i18n.format(`${MODULE_ID}.automation.recordingStarted`, { name: sound.name }));
+    }
+
+    /**
+     * Whether a sound is being recorded
+     * @param {PlaylistSound} sound
+     * @returns {boolean}
+     */
+    isRecording(sound) {
+        return this.recording?.sound.id === sound?.id;
+    }
+
+    /**
+     * Stop recording and save the envelope on the sound, replacing the previous one
+     * @returns {Promise<Object|null>} - The saved envelope, or null when nothing was recorded
+     */
+    async stopRecording() {
+        const recording = this._endRecording();
+        if (!recording) return null;
+
+        const sound = recording.sound;
+        const previous = getAutomation(sound);
+        const automation = {
+            enabled: previous.enabled,
+            loop: previous.loop,
+            length: Math.round(recording.lastPosition * 100) / 100,
+            intensity: recording.intensity,
+            mix: recording.mix
+        };
+
+        debug(`Saving automation for "${sound.name}"`, automation);
+        if (sound.isOwner && game.playlists.has(sound.parent?.id)) await sound.setFlag(MODULE_ID, "automation", automation);
+        ui.notifications.info(game.i18n.format(`${MODULE_ID}.automation.saved`, {
+            count: automation.intensity.length + automation.mix.length,
+            name: sound.name
+        }));
+        return automation;
+    }
+
+    /**
+     * Stop listening and close the envelope at the current position
+     * @returns {Object|null} - The finished recording
+     * @private
+     */
+    _endRecording() {
+        const recording = this.recording;
+        if (!recording) return null;
+        this.recording = null;
+
+        Hooks.off(API_HOOKS.intensityChanged, recording.hooks.intensity);
+        Hooks.off(API_HOOKS.mixChanged, recording.hooks.mix);
+
+        const position = this.player.getSoundPosition(recording.sound.id);
+        if (position !== null && position > recording.lastPosition) recording.lastPosition = position;
+
+        // Hold the final intensity to the end of the envelope
+        const last = recording.intensity[recording.intensity.length - 1];
+        if (last.t < recording.lastPosition) recording.intensity.push({ t: recording.lastPosition, v: last.v });
+        return recording;
+    }
+
+    /**
+     * Add a point to a recorded lane
+     * @param {"intensity"|"mix"} lane
+     * @param {Object} values
+     * @private
+     */
+    _record(lane, values) {
+        const recording = this.recording;
+        const position = this.player.getSoundPosition(recording.sound.id);
+        if (position === null) return;
+
+        // The track looped: the envelope is complete
+        if (position < recording.lastPosition - 1) {
+            debug("Recorded sound looped, stopping the recording");
+            this.stopRecording().catch(err => console.error(`${MODULE_ID} | Failed to save automation:`, err));
+            return;
+        }
+        recording.lastPosition = Math.max(recording.lastPosition, position);
+
+        const points = recording[lane];
+        const point = { t: Math.round(position * 1000) / 1000, ...values };
+        if (lane === "mix") point.volumes = { ...values.volumes };
+
+        const last = points[points.length - 1];
+        if (last && point.t - last.t < RECORD_RESOLUTION && points.length > 1) points[points.length - 1] = point;
+        else points.push(point);
+    }
+
+    /**
+     * Replay the envelopes of playing sounds while any sound plays
+     * @private
+     */
+    _startReplay() {
+        if (this.interval) return;
+        this.interval = setInterval(() => this._replay(), AUTOMATION_INTERVAL);
+    }
+
+    /**
+     * Apply every playing sound's envelope at its current position
+     * @private
+     */
+    _replay() {
+        const player = this.player;
+        if (!player.playingSounds.size) {
+            clearInterval(this.interval);
+            this.interval = null;
+            return;
+        }
+        if (!player._isActiveGM()) return;
+
+        for (const [soundId, entry] of player.playingSounds) {
+            if (entry.paused || entry.fadingOut || this.isRecording(entry.sound)) continue;
+
+            const automation = getAutomation(entry.sound);
+            if (!automation.enabled || !hasAutomation(automation)) continue;
+
+            const position = player.getSoundPosition(soundId);
+            if (position === null) continue;
+            const { intensity, mixIndex } = evaluateAutomation(automation, position);
+
+            const channel = resolveChannel(entry.sound);
+            if (intensity !== null && Math.abs(intensity - player.getIntensity(channel)) > 0.002) {
+                player.setAutomatedIntensity(intensity, channel);
+            }
+
+            if (mixIndex >= 0 && this.appliedMix.get(soundId) !== mixIndex) {
+                this.appliedMix.set(soundId, mixIndex);
+                const point = automation.mix[mixIndex];
+                if (player.customMixEnabled !== point.enabled) player.setCustomMixEnabled(point.enabled);
+                for (const [key, volume] of Object.entries(point.volumes)) player.setCustomVolume(key, volume);
+                syncCustomMixToggle(point.enabled);
+                syncCustomSliders(point.volumes);
+            }
+        }
+    }
+}
@@ -0,0 +1,67 @@
+import { MODULE_ID } from "./settings.js";
+
+/**
+ * Intensity channels let independent adaptive beds (e.g. music and ambience) move separately.
+ * A Playlist binds to a channel with `flags.adaptive-audio.channel`, a PlaylistSound can override it
+ * with the same flag. Extra channels are created by the GM in the module settings.
+ */
+
+/**
+ * Channel used by anything without a binding
+ * Its value is the original `currentIntensity` setting, so existing worlds keep their intensity.
+ */
+export const DEFAULT_CHANNEL = "music";
+
+/**
+ * Channels that always exist
+ */
+export const BUILTIN_CHANNELS = [
+    { id: "music", name: "Music" },
+    { id: "ambience", name: "Ambience" }
+];
+
+/**
+ * Convert a channel name into its id
+ * "Ambience" -> "ambience", "Crowd Noise" -> "crowd-noise"
+ * @param {string} name
+ * @returns {string}
+ */
+export function channelId(name) {
+    return String(name ?? "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+/**
+ * All channels: the built-in ones followed by those created in the module settings
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function getChannels() {
+    const channels = [...BUILTIN_CHANNELS];
+    const custom = String(game.settings.get(MODULE_ID, "customChannels") ?? "");
+
+    for (const name of custom.split(",").map(n => n.trim()).filter(Boolean)) {
+        const id = channelId(name);
+        if (id && !channels.some(c => c.id === id)) channels.push({ id, name });
+    }
+    return channels;
+}
+
+/**
+ * Display name for a channel id
+ * @param {string} id
+ * @returns {string}
+ */
+export function getChannelName(id) {
+    return getChannels().find(c => c.id === id)?.name ?? id;
+}
+
+/**
+ * Resolve the channel that drives a sound: its own binding, else its playlist's, else the default
+ * @param {PlaylistSound} sound
+ * @returns {string}
+ */
+export function resolveChannel(sound) {
+    if (!sound?.getFlag) return DEFAULT_CHANNEL;
+    return sound.getFlag(MODULE_ID, "channel")
+        || sound.parent?.getFlag?.(MODULE_ID, "channel")
+        || DEFAULT_CHANNEL;
+}
@@ -0,0 +1,288 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { hasAdaptiveLayers } from "./layers.js";
+import { DEFAULT_CHANNEL, channelId, getChannels } from "./channels.js";
+import { parseMixVolumes } from "./triggerRules.js";
+import { syncCustomMixToggle, syncCustomSliders, syncIntensitySliders } from "./sidebarIntensity.js";
+import { applyPreset, findPreset, getPresets } from "./presets.js";
+
+/**
+ * Chat commands for driving the music from the chat box
+ *   /intensity 75 3s [channel]      - set, or fade over a duration
+ *   /aa play "Boss Theme" [4s]      - start a sound, optionally crossfading from everything else
+ *   /aa stop ["Boss Theme"]         - stop one sound, or every adaptive sound
+ *   /aa mix low=0 mid=50 high=100   - apply a Custom Mix ("/aa mix off" returns to intensity)
+ *   /aa preset Tense [fade]         - recall a saved preset
+ * Who may use them is set by the chatCommandRole setting. Errors are whispered back to the sender.
+ */
+
+/**
+ * Commands shown as hints while typing, in the order they are listed
+ */
+const COMMANDS = [
+    { command: "/intensity", usage: "/intensity <0-100> [duration] [channel]", hint: "Set intensity, or fade to it (e.g. 3s, 500ms)" },
+    { command: "/aa play", usage: "/aa play \"<sound>\" [crossfade]", hint: "Start an adaptive sound" },
+    { command: "/aa stop", usage: "/aa stop [\"<sound>\"]", hint: "Stop one sound, or every adaptive sound" },
+    { command: "/aa mix", usage: "/aa mix <layer>=<0-100> ... | off", hint: "Apply a Custom Mix, or turn it off" },
+    { command: "/aa preset", usage: "/aa preset \"<name>\" [fade]", hint: "Recall a saved preset" },
+    { command: "/aa intensity", usage: "/aa intensity <0-100> [duration] [channel]", hint: "Same as /intensity" },
+    { command: "/aa help", usage: "/aa help", hint: "List the commands" }
+];
+
+/**
+ * Crossfade curve for /aa play with a duration (key of CROSSFADE_CURVES)
+ */
+const PLAY_TRANSITION_CURVE = "equalPower";
+
+/**
+ * A mistake in a command, whispered back as is
+ */
+class ChatCommandError extends Error {}
+
+/**
+ * Register the chatMessage handler and the input hints
+ */
+export function registerChatCommands() {
+    Hooks.on("chatMessage", (chatLog, message) => {
+        const tokens = tokenize(message);
+        const name = tokens[0]?.toLowerCase();
+        if (name !== "/intensity" && name !== "/aa") return;
+        if (!canUseChatCommands()) {
+            if (game.settings.get(MODULE_ID, "chatCommandRole") === "NONE") return;
+            whisper("You are not allowed to use Adaptive Audio chat commands.");
+            return false;
+        }
+
+        const args = name === "/intensity" ? ["intensity", ...tokens.slice(1)] : tokens.slice(1);
+        runCommand(args).catch(err => {
+            if (!(err instanceof ChatCommandError)) console.error(`${MODULE_ID} | Chat command failed:`, err);
+            whisper(err.message);
+        });
+        return false;
+    });
+
+    // The chat input is re-rendered and moved around, so listen on the document
+    document.addEventListener("input", (event) => {
+        if (event.target?.id === "chat-message") showHints(event.target);
+    });
+    document.addEventListener("focusout", (event) => {
+        if (event.target?.id === "chat-message") setTimeout(() => hideHints(), 150);
+    });
+}
+
+/**
+ * Whether the current user may use the commands
+ * @returns {boolean}
+ */
+function canUseChatCommands() {
+    const role = game.settings.get(MODULE_ID, "chatCommandRole");
+    return role !== "NONE" && game.user.hasRole(role);
+}
+
+/**
+ * Split a message into words, keeping "quoted phrases" together
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return [...String(text ?? "").trim().matchAll(/"([^"]*)"|(\S+)/g)].map(match => match[1] ?? match[2]);
+}
+
+/**
+ * Parse a duration such as "3s", "1.5", "500ms" (bare numbers are seconds)
+ * @param {string} token
+ * @returns {number|null} - Milliseconds, or null when the token is not a duration
+ */
+function parseDuration(token) {
+    const match = /^(\d+(?:\.\d+)?)(ms|s)?$/i.exec(token ?? "");
+    if (!match) return null;
+    const value = Number(match[1]);
+    return match[2]?.toLowerCase() === "ms" ? value : value * 1000;
+}
+
+/**
+ * Find a channel by id or name
+ * @param {string} token
+ * @returns {string}
+ */
+function parseChannel(token) {
+    const id = channelId(token);
+    const channel = getChannels().find(c => c.id === id);
+    if (!channel) throw new ChatCommandError(`Unknown channel "${token}". Channels: ${getChannels().map(c => c.id).join(", ")}.`);
+    return channel.id;
+}
+
+/**
+ * Find an adaptive sound by name (exact first, then partial) or uuid
+ * @param {string} name
+ * @returns {Promise<PlaylistSound>}
+ */
+async function findSound(name) {
+    if (name.includes("PlaylistSound.")) {
+        const sound = await fromUuid(name);
+        if (sound) return sound;
+    }
+
+    const sounds = game.playlists
+        .filter(playlist => playlist.getFlag(MODULE_ID, "isAdaptive"))
+        .flatMap(playlist => playlist.sounds.filter(sound => hasAdaptiveLayers(sound)));
+
+    const query = name.toLowerCase();
+    const exact = sounds.filter(sound => sound.name.toLowerCase() === query);
+    const matches = exact.length ? exact : sounds.filter(sound => sound.name.toLowerCase().includes(query));
+
+    if (!matches.length) throw new ChatCommandError(`No adaptive sound named "${name}".`);
+    if (matches.length > 1) {
+        const list = matches.map(sound => `${sound.name} (${sound.parent.name})`).join(", ");
+        throw new ChatCommandError(`"${name}" matches several sounds: ${list}. Use the full name or its uuid.`);
+    }
+    return matches[0];
+}
+
+/**
+ * Run a command without its leading "/aa"
+ * @param {string[]} args
+ */
+async function runCommand([subcommand, ...args]) {
+    const player = game.adaptiveAudio?.player;
+    if (!player) throw new ChatCommandError("Adaptive Audio is not ready yet.");
+
+    switch (subcommand?.toLowerCase()) {
+        case "intensity": {
+            const percent = Number(args[0]);
+            if (args[0] === undefined || !Number.isFinite(percent) || percent < 0 || percent > 100) {
+                throw new ChatCommandError("Usage: /intensity <0-100> [duration] [channel]");
+            }
+
+            let duration = 0;
+            let channel = DEFAULT_CHANNEL;
+            for (const token of args.slice(1)) {
+                const ms = parseDuration(token);
+                if (ms !== null) duration = ms;
+                else channel = parseChannel(token);
+            }
+
+            debug(`Chat command: intensity ${percent}% over ${duration}ms on ${channel}`);
+            if (duration > 0) {
+                player.fadeTo(percent / 100, duration, true, { channel });
+            } else {
+                player.setGlobalIntensity(percent / 100, false, channel);
+                syncIntensitySliders(Math.round(percent), channel);
+            }
+            break;
+        }
+        case "play": {
+            if (!args[0]) throw new ChatCommandError("Usage: /aa play \"<sound>\" [crossfade]");
+            const sound = await findSound(args[0]);
+            const crossfade = args[1] !== undefined ? parseDuration(args[1]) : 0;
+            if (crossfade === null) throw new ChatCommandError(`"${args[1]}" is not a duration (e.g. 3s or 500ms).`);
+            if (!sound.isOwner) throw new ChatCommandError(`You cannot control "${sound.name}".`);
+
+            const entry = player.playingSounds.get(sound.id);
+            if (entry && !entry.paused && !entry.fadingOut) return;
+
+            // Through the document, so every client starts it via _playAdaptiveSound
+            const options = crossfade > 0 ? { adaptiveAudioTransition: { duration: crossfade, curve: PLAY_TRANSITION_CURVE } } : {};
+            await sound.update({ playing: true }, options);
+            break;
+        }
+        case "stop": {
+            if (!args[0]) {
+                await player.stopAllSounds();
+                break;
+            }
+
+            const sound = await findSound(args[0]);
+            if (!sound.isOwner) throw new ChatCommandError(`You cannot control "${sound.name}".`);
+            if (sound.playing || player.playingSounds.has(sound.id)) await sound.update({ playing: false, pausedTime: null });
+            break;
+        }
+        case "mix": {
+            if (args[0]?.toLowerCase() === "off") {
+                player.setCustomMixEnabled(false);
+                syncCustomMixToggle(false);
+                break;
+            }
+
+            // Accept both "low=0 mid=50" and "low=0, mid=50"
+            const volumes = parseMixVolumes(args.join(","));
+            if (!Object.keys(volumes).length) throw new ChatCommandError("Usage: /aa mix <layer>=<0-100> ... | off");
+
+            if (!player.customMixEnabled) player.setCustomMixEnabled(true);
+            for (const [key, volume] of Object.entries(volumes)) player.setCustomVolume(key, volume);
+            syncCustomMixToggle(true);
+            syncCustomSliders(volumes);
+            break;
+        }
+        case "preset": {
+            if (!args[0]) throw new ChatCommandError("Usage: /aa preset \"<name>\" [fade]");
+
+            // Unquoted names with spaces arrive as several words, with an optional fade at the end
+            const fade = args.length > 1 ? parseDuration(args[args.length - 1]) : null;
+            const name = (fade !== null ? args.slice(0, -1) : args).join(" ");
+            const preset = findPreset(name);
+            if (!preset) {
+                const names = getPresets().map(p => p.name).join(", ") || "none saved yet";
+                throw new ChatCommandError(`No preset named "${name}". Presets: ${names}.`);
+            }
+            await applyPreset(player, preset, fade !== null ? { fade: fade / 1000 } : {});
+            break;
+        }
+        case undefined:
+        case "help": {
+            const rows = COMMANDS.map(c => `<li><code>${Handlebars.escapeExpression(c.usage)}</code><br>${c.hint}</li>`).join("");
+            whisper(`<ul>${rows}</ul>`, false);
+            break;
+        }
+        default:
+            throw new ChatCommandError(`Unknown command "/aa ${subcommand}". Type /aa help for the list.`);
+    }
+}
+
+/**
+ * Whisper a message to the current user only
+ * @param {string} text
+ * @param {boolean} [escape=true] - Escape the text as HTML
+ */
+function whisper(text, escape = true) {
+    ChatMessage.create({
+        content: escape ? Handlebars.escapeExpression(text) : text,
+        whisper: [game.user.id],
+        speaker: { alias: "Adaptive Audio" }
+    });
+}
+
+/**
+ * Show the commands matching what is being typed, above the chat input
+ * @param {HTMLTextAreaElement} input
+ */
+function showHints(input) {
+    const text = input.value.toLowerCase();
+    const matches = text.startsWith("/") && canUseChatCommands()
+        ? COMMANDS.filter(c => c.command.startsWith(text.trimEnd()) || text.startsWith(`${c.command} `))
+        : [];
+    if (!matches.length) return hideHints();
+
+    let hints = document.getElementById("adaptive-audio-chat-hints");
+    if (!hints) {
+        hints = document.createElement("ol");
+        hints.id = "adaptive-audio-chat-hints";
+        hints.addEventListener("mousedown", (event) => {
+            const item = event.target.closest("[data-command]");
+            if (!item) return;
+            event.preventDefault();
+            input.value = `${item.dataset.command} `;
+            input.focus();
+            showHints(input);
+        });
+    }
+    if (hints.parentElement !== input.parentElement) input.before(hints);
+
+    hints.innerHTML = matches.map(c => `<li data-command="${c.command}"><code>${Handlebars.escapeExpression(c.usage)}</code> <span>${c.hint}</span></li>`).join("");
+}
+
+/**
+ * Remove the hints
+ */
+function hideHints() {
+    document.getElementById("adaptive-audio-chat-hints")?.remove();
+}
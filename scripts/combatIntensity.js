@@ -0,0 +1,201 @@
+import { MODULE_ID, debug } from "./settings.js";
+
+/**
+ * Default dynamic combat formula
+ * More hostiles, a boss and a hurting party push intensity up; a beaten-down enemy side brings it back.
+ */
+export const DEFAULT_COMBAT_FORMULA = "0.5 + 0.05 * min(hostiles, 5) + 0.25 * boss + 0.25 * (1 - friendlyHp) - 0.2 * (1 - hostileHp)";
+
+/**
+ * Variables available to the formula
+ */
+const FORMULA_VARIABLES = ["round", "hostiles", "friendlies", "hostileHp", "friendlyHp", "boss", "base"];
+
+/**
+ * Delay (ms) to coalesce bursts of combat updates (e.g. an area attack damaging many actors)
+ */
+const RECOMPUTE_DELAY = 250;
+
+/**
+ * Fade (ms) between successive computed intensities
+ */
+const COMBAT_FADE_MS = 2000;
+
+/**
+ * Read a combatant's remaining hit points as a fraction
+ * Uses the `combatHpAttribute` setting, else the system's primary token attribute.
+ * @param {Actor} actor
+ * @returns {number|null} - 0-1, or null when the actor has no readable hit points
+ */
+export function hpFraction(actor) {
+    const path = game.settings.get(MODULE_ID, "combatHpAttribute") || game.system.primaryTokenAttribute || "attributes.hp";
+    const hp = foundry.utils.getProperty(actor?.system ?? {}, path);
+    const value = Number(hp?.value);
+    const max = Number(hp?.max);
+    if (!Number.isFinite(value) || !Number.isFinite(max) || max <= 0) return null;
+    return Math.max(0, Math.min(1, value / max));
+}
+
+/**
+ * Whether a combatant is flagged as a boss (on the combatant or its actor)
+ * @param {Combatant} combatant
+ * @returns {boolean}
+ */
+function isBoss(combatant) {
+    return !!(combatant.getFlag(MODULE_ID, "boss") || combatant.actor?.getFlag(MODULE_ID, "boss"));
+}
+
+/**
+ * Summarize a combat into the formula variables
+ * @param {Combat} combat
+ * @returns {Object<string, number>}
+ */
+export function getCombatState(combat) {
+    const HOSTILE = CONST.TOKEN_DISPOSITIONS.HOSTILE;
+    const FRIENDLY = CONST.TOKEN_DISPOSITIONS.FRIENDLY;
+
+    const sides = { hostile: { count: 0, hp: 0, max: 0 }, friendly: { count: 0, hp: 0, max: 0 } };
+    let boss = false;
+
+    for (const combatant of combat.combatants) {
+        const disposition = combatant.token?.disposition;
+        const side = disposition === HOSTILE ? sides.hostile
+            : (disposition === FRIENDLY || combatant.hasPlayerOwner) ? sides.friendly
+            : null;
+        if (!side) continue;
+
+        const hp = hpFraction(combatant.actor);
+        const down = combatant.isDefeated || hp === 0;
+
+        // Hit points count for everyone (a downed ally still lowers the party's total), numbers only for the standing
+        if (hp !== null) {
+            side.hp += hp;
+            side.max += 1;
+        }
+        if (down) continue;
+        side.count++;
+        if (side === sides.hostile && isBoss(combatant)) boss = true;
+    }
+
+    return {
+        round: combat.round ?? 0,
+        hostiles: sides.hostile.count,
+        friendlies: sides.friendly.count,
+        hostileHp: sides.hostile.max ? sides.hostile.hp / sides.hostile.max : 1,
+        friendlyHp: sides.friendly.max ? sides.friendly.hp / sides.friendly.max : 1,
+        boss: boss ? 1 : 0,
+        base: game.settings.get(MODULE_ID, "combatIntensity") / 100
+    };
+}
+
+/**
+ * Evaluate a combat formula
+ * @param {string} formula - Math expression over FORMULA_VARIABLES (min, max, floor... are available)
+ * @param {Object<string, number>} state - From getCombatState
+ * @returns {number|null} - Intensity between 0.0 and 1.0, or null if the formula is invalid
+ */
+export function evaluateCombatFormula(formula, state) {
+    const pattern = new RegExp(`\\b(${FORMULA_VARIABLES.join("|")})\\b`, "g");
+    const expression = String(formula || DEFAULT_COMBAT_FORMULA).replace(pattern, name => `(${Number(state[name]) || 0})`);
+
+    try {
+        const value = Number(Roll.safeEval(expression));
+        if (!Number.isFinite(value)) throw new Error(`Formula returned ${value}`);
+        return Math.max(0, Math.min(1, value));
+    } catch (error) {
+        console.warn(`${MODULE_ID} | Invalid combat intensity formula "${formula}":`, error);
+        return null;
+    }
+}
+
+/**
+ * Drives intensity continuously from the live combat state
+ * Active only on the active GM, in "dynamic" combat mode, while a combat is running.
+ * Each new value is faded to with fadeTo, which carries it to every client.
+ */
+export class CombatIntensity {
+    /**
+     * @param {AdaptiveAudioPlayer} player
+     */
+    constructor(player) {
+        this.player = player;
+        this.lastValue = null;
+
+        // At most one combat fade runs at a time; values computed meanwhile wait here and only the latest is used
+        this.fading = false;
+        this.pending = null;
+        this._recompute = foundry.utils.debounce(() => this.update(), RECOMPUTE_DELAY);
+
+        const schedule = () => {
+            if (this.enabled) this._recompute();
+        };
+        Hooks.on("updateCombat", schedule);
+        Hooks.on("updateActor", schedule);
+        Hooks.on("updateToken", schedule); // Unlinked tokens store their actor changes here
+        Hooks.on("createCombatant", schedule);
+        Hooks.on("updateCombatant", schedule);
+        Hooks.on("deleteCombatant", schedule);
+    }
+
+    /**
+     * Whether this client should drive combat intensity right now
+     * @type {boolean}
+     */
+    get enabled() {
+        return game.settings.get(MODULE_ID, "autoSetCombatIntensity")
+            && game.settings.get(MODULE_ID, "combatIntensityMode") === "dynamic"
+            && this.player._isActiveGM()
+            && this.player.preCombatIntensity !== null
+            && !this.player.userOverrideDuringCombat;
+    }
+
+    /**
+     * Recompute intensity from the active combat and fade to it
+     * @param {Combat} [combat] - Defaults to the viewed combat, else the first started one
+     */
+    update(combat) {
+        if (!this.enabled) return;
+
+        combat ??= game.combat?.started ? game.combat : game.combats.find(c => c.started);
+        if (!combat) return;
+
+        const state = getCombatState(combat);
+        const value = evaluateCombatFormula(game.settings.get(MODULE_ID, "combatFormula"), state);
+        if (value === null) return;
+
+        // Ignore changes too small to hear
+        if (this.lastValue !== null && Math.abs(value - this.lastValue) < 0.01) return;
+        this.lastValue = value;
+
+        debug(`Combat intensity ${(value * 100).toFixed(0)}%`, state);
+        if (this.fading) this.pending = value;
+        else this._fadeTo(value);
+    }
+
+    /**
+     * Fade to a computed value, then to the latest value computed while it ran
+     * Coalescing bursts this way keeps each settle to one fade and one settings write.
+     * @param {number} value
+     * @private
+     */
+    async _fadeTo(value) {
+        this.fading = true;
+        const completed = await this.player.fadeTo(value, COMBAT_FADE_MS, true);
+        this.fading = false;
+
+        // A cancelled fade means something else (the GM, combat ending, another fade) took over:
+        // drop the waiting value and let the next update start afresh
+        const next = this.pending;
+        this.pending = null;
+        if (!completed) this.lastValue = null;
+        else if (next !== null && this.enabled) this._fadeTo(next);
+    }
+
+    /**
+     * Forget the last computed value (combat ended)
+     */
+    reset() {
+        this.lastValue = null;
+        this.pending = null;
+    }
+}
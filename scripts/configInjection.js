@@ -1,4 +1,10 @@
 import { MODULE_ID, debug } from "./settings.js";
+import { getSoundLayers, hasAdaptiveLayers, DEFAULT_BASE_LAYER_NAME } from "./layers.js";
+import { injectCurveEditor } from "./curveEditor.js";
+import { CROSSFADE_CURVES } from "./AdaptiveAudioPlayer.js";
+import { DEFAULT_CHANNEL, getChannels, getChannelName } from "./channels.js";
+import { getSceneAudio } from "./sceneAudio.js";
+import { detectStemLayers, stemPatternName } from "./stemPatterns.js";
 
 /**
  * Inject adaptive audio checkbox into Playlist configuration
@@ -13,7 +19,7 @@ export function injectPlaylistConfig(app, html, data) {
         <div class="form-group">
             <label>Adaptive Audio Playlist</label>
             <input type="checkbox" name="flags.${MODULE_ID}.isAdaptive" ${isAdaptive ? 'checked' : ''} />
-            <p class="notes">When enabled, sounds in this playlist can have multi-layered intensity tracks (Low, Mid, High) that crossfade based on a global intensity slider.</p>
+            <p class="notes">When enabled, sounds in this playlist can have any number of layered intensity tracks that crossfade based on a global intensity slider.</p>
         </div>
     `;
 
@@ -25,54 +31,246 @@ export function injectPlaylistConfig(app, html, data) {
         // Fallback: add to the end of the form
         html.find('form').append(adaptiveCheckbox);
     }
+
+    // Mixing curve editor (only meaningful once the playlist is adaptive)
+    if (!isAdaptive) return;
+
+    // Preview with the largest layer stack in the playlist
+    let layerNames = null;
+    for (const sound of playlist.sounds) {
+        const layers = getSoundLayers(sound);
+        if (layers.length > 1 && layers.length > (layerNames?.length ?? 0)) {
+            layerNames = layers.map(layer => layer.name);
+        }
+    }
+
+    // Crossfade between consecutive sounds
+    const crossfadeDuration = playlist.getFlag(MODULE_ID, "crossfadeDuration") ?? 0;
+    const crossfadeCurve = playlist.getFlag(MODULE_ID, "crossfadeCurve") || "equalPower";
+    const crossfadeOnBar = playlist.getFlag(MODULE_ID, "crossfadeOnBar") || false;
+    const curveOptions = Object.entries(CROSSFADE_CURVES)
+        .map(([id, curve]) => `<option value="${id}" ${id === crossfadeCurve ? 'selected' : ''}>${curve.label}</option>`)
+        .join("");
+
+    const channel = playlist.getFlag(MODULE_ID, "channel") || DEFAULT_CHANNEL;
+
+    const crossfadeFields = $(`
+        <div class="form-group">
+            <label>Intensity Channel</label>
+            <select name="flags.${MODULE_ID}.channel">${channelOptions(channel)}</select>
+            <p class="hint">Sounds in this playlist follow this channel's intensity slider. Use separate channels for beds that should move independently, such as music and ambience.</p>
+        </div>
+        <div class="form-group adaptive-crossfade">
+            <label>Crossfade</label>
+            <div class="form-fields">
+                <input type="number" name="flags.${MODULE_ID}.crossfadeDuration" value="${crossfadeDuration}" min="0" max="30" step="0.1" placeholder="0" />
+                <span class="units">sec</span>
+                <select name="flags.${MODULE_ID}.crossfadeCurve">${curveOptions}</select>
+            </div>
+            <p class="hint">When one adaptive sound replaces another, fade between them instead of cutting. 0 disables crossfading.</p>
+        </div>
+        <div class="form-group">
+            <label>Crossfade on Bar Line</label>
+            <input type="checkbox" name="flags.${MODULE_ID}.crossfadeOnBar" ${crossfadeOnBar ? 'checked' : ''} />
+            <p class="hint">Wait for the next bar of the outgoing sound before crossfading. Uses the BPM set on each sound.</p>
+        </div>
+    `);
+
+    const checkboxGroup = html.find(`input[name="flags.${MODULE_ID}.isAdaptive"]`).closest('.form-group');
+    checkboxGroup.after(crossfadeFields);
+
+    injectCurveEditor(crossfadeFields.last(), {
+        curve: playlist.getFlag(MODULE_ID, "mixCurve"),
+        layerNames: layerNames ?? ["Low", "Mid", "High"]
+    });
+}
+
+/**
+ * Add an "Adaptive Audio" tab to Scene configuration
+ */
+export function injectSceneConfig(app, html, data) {
+    html = $(html);
+    if (html.find('.tab[data-tab="adaptiveAudio"]').length) return;
+
+    const scene = app.document;
+    const config = getSceneAudio(scene);
+
+    // The scene's main tab group (the Ambience tab has its own nested group)
+    const nav = html.find('nav.sheet-tabs[data-group="sheet"], nav.tabs[data-group="sheet"]').first();
+    const lastTab = html.find('.tab[data-group="sheet"]').last();
+    if (!nav.length || !lastTab.length) {
+        debug("Scene config tabs not found, skipping Adaptive Audio tab");
+        return;
+    }
+
+    const soundOptions = game.playlists.contents
+        .filter(playlist => playlist.getFlag(MODULE_ID, "isAdaptive"))
+        .flatMap(playlist => playlist.sounds.contents
+            .filter(sound => hasAdaptiveLayers(sound))
+            .map(sound => `<option value="${sound.uuid}" ${sound.uuid === config.soundUuid ? 'selected' : ''}>${escapeAttr(`${playlist.name}: ${sound.name}`)}</option>`))
+        .join("");
+
+    const active = app.tabGroups?.sheet === "adaptiveAudio" ? "active" : "";
+    nav.append(`
+        <a class="${active}" data-action="tab" data-group="sheet" data-tab="adaptiveAudio">
+            <i class="fas fa-music"></i>
+            <span>Adaptive Audio</span>
+        </a>
+    `);
+
+    lastTab.after(`
+        <div class="tab ${active}" data-group="sheet" data-tab="adaptiveAudio">
+            <p class="hint">When this scene is activated, crossfade to its adaptive music. Leave a field empty to keep what is playing.</p>
+            <div class="form-group">
+                <label>Adaptive Sound</label>
+                <select name="flags.${MODULE_ID}.soundUuid">
+                    <option value="">None</option>
+                    ${soundOptions}
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Starting Intensity</label>
+                <div class="form-fields">
+                    <input type="number" name="flags.${MODULE_ID}.intensity" value="${config.intensity ?? ""}" min="0" max="100" step="1" placeholder="Unchanged" />
+                    <span class="units">%</span>
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Custom Mix</label>
+                <input type="text" name="flags.${MODULE_ID}.customMix" value="${escapeAttr(config.customMix)}" placeholder="low=100, mid=60, high=0" />
+                <p class="hint">Optional layer volumes in percent. Enables Custom Mix for this scene; a scene with only a Starting Intensity turns Custom Mix off.</p>
+            </div>
+            <div class="form-group">
+                <label>Crossfade</label>
+                <div class="form-fields">
+                    <input type="number" name="flags.${MODULE_ID}.transition" value="${config.transition}" min="0" max="30" step="0.1" />
+                    <span class="units">sec</span>
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Preload</label>
+                <input type="checkbox" name="flags.${MODULE_ID}.preload" ${config.preload ? 'checked' : ''} />
+                <p class="hint">Load the sound's layers as soon as this scene is viewed or configured, so activation starts without buffering.</p>
+            </div>
+        </div>
+    `);
 }
 
 /**
- * Inject dual file pickers into PlaylistSound configuration
+ * Build <option> tags for every intensity channel
+ * @param {string} selected - Selected channel id ("" for the inherit option)
+ * @param {boolean} [inheritable=false] - Offer "Inherit from Playlist"
+ * @returns {string}
+ */
+function channelOptions(selected, inheritable = false) {
+    const channels = getChannels();
+    // Keep a binding to a channel that was since removed from the settings
+    if (selected && !channels.some(c => c.id === selected)) channels.push({ id: selected, name: getChannelName(selected) });
+
+    const options = channels.map(c => `<option value="${c.id}" ${c.id === selected ? 'selected' : ''}>${escapeAttr(c.name)}</option>`);
+    if (inheritable) options.unshift(`<option value="" ${selected ? '' : 'selected'}>Inherit from Playlist</option>`);
+    return options.join("");
+}
+
+/**
+ * Escape a value for use inside an HTML attribute
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeAttr(value) {
+    return String(value ?? "").replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+/**
+ * Build the HTML for a single editable layer row
+ * @param {{name: string, path: string}} layer
+ * @returns {string}
+ */
+function layerRowHTML(layer) {
+    return `
+        <li class="adaptive-layer-row">
+            <input type="text" class="adaptive-layer-name" value="${escapeAttr(layer.name)}" placeholder="Layer name" />
+            <input type="text" class="adaptive-layer-path" value="${escapeAttr(layer.path)}" placeholder="path/to/layer.ogg" />
+            <button type="button" class="adaptive-layer-browse" data-tooltip="Browse"><i class="fas fa-file-import"></i></button>
+            <button type="button" class="adaptive-layer-up" data-tooltip="Move Up (lower intensity)"><i class="fas fa-arrow-up"></i></button>
+            <button type="button" class="adaptive-layer-down" data-tooltip="Move Down (higher intensity)"><i class="fas fa-arrow-down"></i></button>
+            <button type="button" class="adaptive-layer-remove" data-tooltip="Remove"><i class="fas fa-trash"></i></button>
+        </li>
+    `;
+}
+
+/**
+ * Inject the layer list editor into PlaylistSound or AmbientSound configuration
  */
 export function injectSoundConfig(app, html, data) {
     html = $(html);
     const sound = app.document;
     const playlist = sound.parent;
+    const isAmbient = sound.documentName === "AmbientSound";
     
-    debug("injectSoundConfig called for sound:", sound.name);
+    debug("injectSoundConfig called for sound:", sound.name ?? sound.id);
     
-    // Only inject if parent playlist is adaptive
-    const isAdaptive = playlist?.getFlag(MODULE_ID, "isAdaptive");
+    // Only inject if parent playlist is adaptive (any AmbientSound can carry layers)
+    const isAdaptive = isAmbient || playlist?.getFlag(MODULE_ID, "isAdaptive");
     if (!isAdaptive) return;
+    if (html.find('.adaptive-layers').length) return;
 
     debug("Injecting adaptive audio fields");
 
-    const midPath = sound.getFlag(MODULE_ID, "midIntensityPath") || "";
-    const lowPath = sound.getFlag(MODULE_ID, "lowIntensityPath") || "";
+    // Layers below the core path, lowest first (legacy Low/Mid flags are shown as rows)
+    const layers = getSoundLayers(sound).slice(0, -1);
+    const baseLayerName = sound.getFlag(MODULE_ID, "baseLayerName") || DEFAULT_BASE_LAYER_NAME;
 
-    // Relabel the existing Audio Source field to "High Intensity Track"
+    // Relabel the existing Audio Source field as the top layer
     const pathLabel = html.find('file-picker[name="path"]').closest('.form-group').find('label');
     if (pathLabel.length) {
-        pathLabel.text('High Intensity Track');
+        pathLabel.text('Top Layer Track');
     }
 
-    // Create Mid and Low intensity fields
+    // Layer list: rows are serialized into a hidden JSON field so the whole list saves as one flag
     const newFields = `
-        <div class="form-group adaptive-mid-intensity">
-            <label for="adaptive-mid-intensity-path">Mid Intensity Track</label>
+        <div class="form-group adaptive-base-layer">
+            <label for="adaptive-base-layer-name">Top Layer Name</label>
             <div class="form-fields">
-                <input type="text" id="adaptive-mid-intensity-path" name="flags.${MODULE_ID}.midIntensityPath" value="${midPath}" placeholder="path/to/mid.ogg" />
-                <button type="button" class="file-picker" data-type="audio" data-target="flags.${MODULE_ID}.midIntensityPath">
-                    <i class="fas fa-file-import"></i>
-                </button>
+                <input type="text" id="adaptive-base-layer-name" name="flags.${MODULE_ID}.baseLayerName" value="${escapeAttr(baseLayerName)}" placeholder="${DEFAULT_BASE_LAYER_NAME}" />
             </div>
         </div>
-        
-        <div class="form-group adaptive-low-intensity">
-            <label for="adaptive-low-intensity-path">Low Intensity Track</label>
+
+        <div class="form-group">
+            <label>Intensity Channel</label>
+            <select name="flags.${MODULE_ID}.channel">${isAmbient
+                ? channelOptions(sound.getFlag(MODULE_ID, "channel") || DEFAULT_CHANNEL)
+                : channelOptions(sound.getFlag(MODULE_ID, "channel") || "", true)}</select>
+        </div>
+${isAmbient ? `
+        <div class="form-group">
+            <label>Intensity Override</label>
+            <div class="form-fields">
+                <input type="number" name="flags.${MODULE_ID}.intensity" value="${sound.getFlag(MODULE_ID, "intensity") ?? ""}" min="0" max="100" step="1" placeholder="Follow channel" />
+                <span class="units">%</span>
+            </div>
+            <p class="hint">Fix this source's intensity instead of following its channel. Leave empty to follow the channel.</p>
+        </div>
+` : `
+        <div class="form-group adaptive-tempo">
+            <label>Tempo</label>
             <div class="form-fields">
-                <input type="text" id="adaptive-low-intensity-path" name="flags.${MODULE_ID}.lowIntensityPath" value="${lowPath}" placeholder="path/to/low.ogg" />
-                <button type="button" class="file-picker" data-type="audio" data-target="flags.${MODULE_ID}.lowIntensityPath">
-                    <i class="fas fa-file-import"></i>
-                </button>
+                <input type="number" name="flags.${MODULE_ID}.bpm" value="${sound.getFlag(MODULE_ID, "bpm") ?? ""}" min="0" step="0.01" placeholder="BPM" />
+                <span class="units">BPM</span>
+                <input type="number" name="flags.${MODULE_ID}.beatsPerBar" value="${sound.getFlag(MODULE_ID, "beatsPerBar") ?? 4}" min="1" max="16" step="1" />
+                <span class="units">beats / bar</span>
             </div>
-            <p class="hint">Adaptive Mixing: Low (0-50%) → Mid (50-100%) → High (Base Track).</p>
+            <p class="hint">Optional. Lets playlist crossfades start on a bar line of this sound.</p>
+        </div>
+`}
+        <div class="form-group stacked adaptive-layers">
+            <label>Adaptive Layers</label>
+            <ol class="adaptive-layer-list">
+                ${layers.map(layerRowHTML).join("")}
+            </ol>
+            <input type="hidden" name="flags.${MODULE_ID}.layers" value="" />
+            <button type="button" class="adaptive-layer-add"><i class="fas fa-plus"></i> Add Layer</button>
+            <p class="hint">Layers are listed from lowest to highest intensity and play beneath the top layer. Adaptive Mixing brings them in as intensity rises.</p>
         </div>
     `;
 
@@ -82,88 +280,151 @@ export function injectSoundConfig(app, html, data) {
         pathGroup.after(newFields);
     }
 
-    // Bind file picker buttons
-    html.find('.adaptive-mid-intensity .file-picker, .adaptive-low-intensity .file-picker').on('click', function(event) {
+    const list = html.find('.adaptive-layer-list');
+    const hiddenInput = html.find(`input[name="flags.${MODULE_ID}.layers"]`);
+    const baseNameInput = html.find(`input[name="flags.${MODULE_ID}.baseLayerName"]`);
+
+    // Per-sound mixing curve override, previewed with this sound's layers
+    const curveEditor = injectCurveEditor(html.find('.adaptive-layers'), {
+        curve: sound.getFlag(MODULE_ID, "mixCurve"),
+        inheritedCurve: isAmbient ? null : playlist.getFlag(MODULE_ID, "mixCurve"),
+        inheritable: true,
+        layerNames: getSoundLayers(sound).map(layer => layer.name)
+    });
+
+    // Serialize rows into the hidden field
+    const serializeLayers = () => {
+        const rows = list.find('.adaptive-layer-row').toArray().map(row => ({
+            name: $(row).find('.adaptive-layer-name').val().trim(),
+            path: $(row).find('.adaptive-layer-path').val().trim()
+        })).filter(layer => layer.path);
+        hiddenInput.val(JSON.stringify(rows));
+        hiddenInput.trigger('change');
+
+        // Keep the curve editor in step with the layer list (top layer last)
+        curveEditor.setLayers([
+            ...rows.map((layer, i) => layer.name || `Layer ${i + 1}`),
+            baseNameInput.val().trim() || DEFAULT_BASE_LAYER_NAME
+        ]);
+    };
+
+    // Replace all rows (used by auto-detection)
+    const setLayerRows = (rows) => {
+        list.html(rows.map(layerRowHTML).join(""));
+        serializeLayers();
+    };
+
+    const getLayerRows = () => list.find('.adaptive-layer-row').toArray().map(row => ({
+        name: $(row).find('.adaptive-layer-name').val(),
+        path: $(row).find('.adaptive-layer-path').val()
+    }));
+
+    serializeLayers();
+
+    // Bind row controls (delegated so added rows work too)
+    html.find('.adaptive-layer-add').on('click', (event) => {
         event.preventDefault();
-        const button = $(this);
-        const target = button.data('target');
-        const input = html.find(`input[name="${target}"]`);
+        list.append(layerRowHTML({ name: `Layer ${list.children().length + 1}`, path: "" }));
+        serializeLayers();
+    });
+
+    list.on('click', '.adaptive-layer-remove', function(event) {
+        event.preventDefault();
+        $(this).closest('.adaptive-layer-row').remove();
+        serializeLayers();
+    });
+
+    list.on('click', '.adaptive-layer-up', function(event) {
+        event.preventDefault();
+        const row = $(this).closest('.adaptive-layer-row');
+        row.prev().before(row);
+        serializeLayers();
+    });
+
+    list.on('click', '.adaptive-layer-down', function(event) {
+        event.preventDefault();
+        const row = $(this).closest('.adaptive-layer-row');
+        row.next().after(row);
+        serializeLayers();
+    });
+
+    list.on('change input', '.adaptive-layer-name, .adaptive-layer-path', () => serializeLayers());
+    baseNameInput.on('change input', () => serializeLayers());
+
+    list.on('click', '.adaptive-layer-browse', function(event) {
+        event.preventDefault();
+        const input = $(this).closest('.adaptive-layer-row').find('.adaptive-layer-path');
         
         new FilePicker({
             type: "audio",
             current: input.val(),
             callback: (path) => {
                 input.val(path);
+                serializeLayers();
             }
         }).render(true);
     });
 
-    // Ovani Auto-Detection Logic
+    // Stem pattern auto-fill (Ovani and the other patterns in stemPatterns.js)
     const mainPathInput = html.find('file-picker[name="path"] input[type="text"]'); 
     
-    debug("Binding Ovani listener to:", mainPathInput);
+    debug("Binding stem pattern listener to:", mainPathInput);
 
     // Helper to check and update
-    const checkOvani = (path) => {
-        debug("Checking path for Ovani pattern:", path);
+    const checkStemPatterns = async (path) => {
+        debug("Checking path for stem patterns:", path);
         if (!game.settings.get(MODULE_ID, "autoDetectOvani")) return;
         if (!path) return;
-        
-        // Check for Ovani + Main.wav pattern
-        // Regex: matches "Ovani" anywhere and ends with "Main.wav" (case insensitive)
-        // We decodeURIComponent just in case
-        try {
-            path = decodeURIComponent(path);
-        } catch (e) {}
-
-        if (path.match(/Ovani/i) && path.match(/Main\.wav$/i)) {
-            debug("Pattern matched!");
-            const midInput = html.find('input[name="flags.adaptive-audio.midIntensityPath"]');
-            const lowInput = html.find('input[name="flags.adaptive-audio.lowIntensityPath"]');
-            const nameInput = html.find('input[name="name"]');
-            
-            // Only update if currently empty to avoid overwriting user choices
-            if (midInput.val() === "" && lowInput.val() === "") {
-                // Generate new paths (with spaces initially)
-                let newMidPath = path.replace(/Main\.wav$/i, "Intensity 2.wav");
-                let newLowPath = path.replace(/Main\.wav$/i, "Intensity 1.wav");
-                
-                // Encode them to match Foundry's URL preference (spaces -> %20, etc.)
-                try {
-                    newMidPath = encodeURI(newMidPath);
-                    newLowPath = encodeURI(newLowPath);
-                } catch (e) {
-                    console.error(`${MODULE_ID} | Error encoding paths:`, e);
-                }
-                
-                midInput.val(newMidPath);
-                lowInput.val(newLowPath);
-                
-                // Trigger change on them so they save
-                midInput.trigger('change');
-                lowInput.trigger('change');
-                
-                // Auto-Name Logic: Use parent directory name
-                // path is already decoded here
-                const parts = path.split('/');
-                if (parts.length >= 2) {
-                    const parentDir = parts[parts.length - 2];
-                    if (parentDir && nameInput.length) {
-                        debug(`Auto-naming track to: ${parentDir}`);
-                        nameInput.val(parentDir);
-                    }
-                }
-
-                ui.notifications.info("Adaptive Audio: Auto-detected Ovani layers");
-                debug("Auto-detected Ovani layers:", newMidPath, newLowPath);
-            } else {
-                debug("Fields not empty, skipping auto-fill.");
+
+        // Only update if currently empty to avoid overwriting user choices
+        if (getLayerRows().some(layer => layer.path)) {
+            debug("Fields not empty, skipping auto-fill.");
+            return;
+        }
+
+        const result = await detectStemLayers(path);
+        if (!result) return;
+
+        // The path or the rows changed while the folder was browsed
+        if (mainPathInput.val() !== path || getLayerRows().some(layer => layer.path)) return;
+
+        if (result.missing) {
+            ui.notifications.warn(game.i18n.format(`${MODULE_ID}.stemPatterns.missing`, {
+                pattern: stemPatternName(result.pattern),
+                files: result.missing.join(", ")
+            }));
+            return;
+        }
+
+        // Lowest first, and name the top layer to match
+        setLayerRows(result.layers);
+        baseNameInput.val(result.pattern.topName || DEFAULT_BASE_LAYER_NAME);
+        serializeLayers();
+
+        // Auto-Name Logic: Use parent directory name
+        const nameInput = html.find('input[name="name"]');
+        if (result.pattern.nameFromFolder && nameInput.length) {
+            let decoded = path;
+            try {
+                decoded = decodeURIComponent(path);
+            } catch (e) {}
+            const parts = decoded.split('/');
+            const parentDir = parts.length >= 2 ? parts[parts.length - 2] : null;
+            if (parentDir) {
+                debug(`Auto-naming track to: ${parentDir}`);
+                nameInput.val(parentDir);
             }
         }
+
+        ui.notifications.info(game.i18n.format(`${MODULE_ID}.stemPatterns.filled`, {
+            count: result.layers.length,
+            pattern: stemPatternName(result.pattern)
+        }));
+        debug("Auto-filled stem layers:", result.layers);
     };
 
     // Listen for manual input changes
-    mainPathInput.on('change input', (event) => checkOvani(event.target.value));
+    mainPathInput.on('change', (event) => checkStemPatterns(event.target.value));
     
     // Listen for FilePicker updates by observing the file-picker element
     // We add a small delay to ensure the input value has been propagated by the FilePicker app
@@ -173,7 +434,7 @@ export function injectSoundConfig(app, html, data) {
             const input = picker.find('input');
             const val = input.val();
             debug("Delayed check for path:", val);
-            checkOvani(val);
+            checkStemPatterns(val);
         }, 100);
     });
     
@@ -0,0 +1,99 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { hasAdaptiveLayers } from "./layers.js";
+import { DEFAULT_CHANNEL, resolveChannel } from "./channels.js";
+import { parseMixVolumes } from "./triggerRules.js";
+import { syncCustomMixToggle, syncCustomSliders } from "./sidebarIntensity.js";
+
+/**
+ * Cue sheets: ordered lists of cues the GM steps through during a session
+ * The world sheet lives in the `cueSheet` setting, a scene's in its `flags.adaptive-audio.cueSheet`.
+ * A cue combines any of:
+ *   stopPlaylistId - stop every sound of a playlist
+ *   customMix      - Custom Mix such as "low=100, mid=60, high=0", or "off" to return to intensity mixing
+ *   intensity      - intensity (0-100) to fade to over `fade` seconds, empty to leave it
+ *   soundUuid      - adaptive PlaylistSound to start, crossfading over `transition` seconds when set
+ */
+
+/**
+ * Curve used for cue crossfades (key of CROSSFADE_CURVES)
+ */
+const CUE_TRANSITION_CURVE = "equalPower";
+
+/**
+ * Read a cue sheet
+ * @param {Scene|null} scene - The scene whose sheet to read, or null for the world sheet
+ * @returns {Object[]}
+ */
+export function getCueSheet(scene) {
+    const cues = scene ? scene.getFlag(MODULE_ID, "cueSheet") : game.settings.get(MODULE_ID, "cueSheet");
+    return Array.isArray(cues) ? cues : [];
+}
+
+/**
+ * Save a cue sheet
+ * @param {Scene|null} scene - The scene whose sheet to write, or null for the world sheet
+ * @param {Object[]} cues
+ * @returns {Promise}
+ */
+export function saveCueSheet(scene, cues) {
+    if (scene) return scene.update({ [`flags.${MODULE_ID}.cueSheet`]: cues });
+    return game.settings.set(MODULE_ID, "cueSheet", cues);
+}
+
+/**
+ * A cue with nothing set yet
+ * @param {number} number - Used for the default name
+ * @returns {Object}
+ */
+export function createCue(number) {
+    return {
+        id: foundry.utils.randomID(),
+        name: game.i18n.format(`${MODULE_ID}.cueSheet.defaultName`, { number }),
+        soundUuid: null,
+        transition: 3,
+        intensity: null,
+        fade: 2,
+        customMix: "",
+        stopPlaylistId: null
+    };
+}
+
+/**
+ * Run a cue through the player and the sound documents, so it reaches every client
+ * @param {AdaptiveAudioPlayer} player
+ * @param {Object} cue
+ */
+export async function runCue(player, cue) {
+    debug(`Running cue "${cue.name}"`, cue);
+
+    // Stop first, so a cue can clear a playlist and start one of its sounds
+    const playlist = cue.stopPlaylistId ? game.playlists.get(cue.stopPlaylistId) : null;
+    if (playlist?.playing) await playlist.stopAll();
+
+    const mix = String(cue.customMix ?? "").trim();
+    if (mix.toLowerCase() === "off") {
+        if (player.customMixEnabled) player.setCustomMixEnabled(false);
+        syncCustomMixToggle(false);
+    } else if (mix) {
+        const volumes = parseMixVolumes(mix);
+        if (!player.customMixEnabled) player.setCustomMixEnabled(true);
+        for (const [key, volume] of Object.entries(volumes)) player.setCustomVolume(key, volume);
+        syncCustomMixToggle(true);
+        syncCustomSliders(volumes);
+    }
+
+    const sound = cue.soundUuid ? await fromUuid(cue.soundUuid) : null;
+    if (cue.soundUuid && !hasAdaptiveLayers(sound)) {
+        ui.notifications.warn(game.i18n.format(`${MODULE_ID}.cueSheet.soundMissing`, { name: cue.name }));
+    }
+
+    if (Number.isFinite(cue.intensity)) {
+        const channel = hasAdaptiveLayers(sound) ? resolveChannel(sound) : DEFAULT_CHANNEL;
+        player.fadeTo(Math.max(0, Math.min(100, cue.intensity)) / 100, Math.max(0, cue.fade ?? 0) * 1000, true, { channel });
+    }
+
+    if (hasAdaptiveLayers(sound) && !player.playingSounds.has(sound.id)) {
+        const duration = Math.max(0, cue.transition ?? 0) * 1000;
+        await sound.update({ playing: true }, duration > 0 ? { adaptiveAudioTransition: { duration, curve: CUE_TRANSITION_CURVE } } : {});
+    }
+}
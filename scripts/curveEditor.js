@@ -0,0 +1,283 @@
+import { MODULE_ID } from "./settings.js";
+import { CURVE_PRESETS, DEFAULT_CURVE_PRESET, getCurveLayers, interpolateBreakpoints, normalizeCurve } from "./mixCurves.js";
+
+/**
+ * Colours used to draw layers, lowest layer first
+ */
+const LAYER_COLORS = ["#4a90d9", "#50b86c", "#e0a030", "#d9534f", "#9b59b6", "#1abc9c", "#e67e22", "#7f8c8d"];
+
+/**
+ * Plot area inside the SVG viewBox (0 0 300 150)
+ */
+const PLOT = { left: 10, right: 290, top: 10, bottom: 140 };
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Inject the mixing curve editor into a Playlist or PlaylistSound config
+ * The edited curve is written to a hidden `flags.adaptive-audio.mixCurve` field as JSON.
+ * @param {jQuery} anchor - Element to insert the editor after
+ * @param {Object} options
+ * @param {Object|null} options.curve - Stored curve on the document being edited
+ * @param {Object|null} [options.inheritedCurve=null] - Curve inherited from the playlist (sounds only)
+ * @param {boolean} [options.inheritable=false] - Offer "Inherit from Playlist" (sounds only)
+ * @param {string[]} options.layerNames - Layer names, lowest first
+ * @returns {{setLayers: function(string[]): void}} - Controller to update the layer list while editing
+ */
+export function injectCurveEditor(anchor, { curve, inheritedCurve = null, inheritable = false, layerNames }) {
+    const state = {
+        curve: normalizeCurve(curve),
+        inheritedCurve: normalizeCurve(inheritedCurve),
+        names: layerNames,
+        active: layerNames.length - 1,
+        preview: 0.5
+    };
+
+    // Playlists always store an explicit preset so the select reflects what plays
+    if (!inheritable && !state.curve) state.curve = { preset: DEFAULT_CURVE_PRESET };
+
+    const presetOptions = Object.entries(CURVE_PRESETS)
+        .map(([id, preset]) => `<option value="${id}">${preset.label}</option>`)
+        .join("");
+
+    const editor = $(`
+        <div class="form-group stacked adaptive-curve-editor">
+            <label>Mixing Curve</label>
+            <div class="form-fields">
+                <select class="adaptive-curve-preset">
+                    ${inheritable ? '<option value="">Inherit from Playlist</option>' : ''}
+                    ${presetOptions}
+                    <option value="custom">Custom</option>
+                </select>
+            </div>
+            <div class="adaptive-curve-legend"></div>
+            <svg class="adaptive-curve-graph" viewBox="0 0 300 150" preserveAspectRatio="none"></svg>
+            <div class="adaptive-curve-preview">
+                <input type="range" class="adaptive-curve-preview-intensity" min="0" max="100" step="1" value="50" />
+                <span class="adaptive-curve-preview-values"></span>
+            </div>
+            <input type="hidden" name="flags.${MODULE_ID}.mixCurve" value="" />
+            <p class="hint">Drag points to shape the selected layer. Double-click the graph to add a point, right-click a point to remove it.${inheritable ? '' : ' Custom curves apply to sounds with the same number of layers; others use the preset the curve started from.'}</p>
+        </div>
+    `);
+    anchor.after(editor);
+
+    const select = editor.find('.adaptive-curve-preset');
+    const legend = editor.find('.adaptive-curve-legend');
+    const svg = editor.find('.adaptive-curve-graph')[0];
+    const previewValues = editor.find('.adaptive-curve-preview-values');
+    const hiddenInput = editor.find(`input[name="flags.${MODULE_ID}.mixCurve"]`);
+
+    const toSvg = (p, v) => [
+        PLOT.left + p * (PLOT.right - PLOT.left),
+        PLOT.bottom - v * (PLOT.bottom - PLOT.top)
+    ];
+
+    const fromEvent = (event) => {
+        const pt = svg.createSVGPoint();
+        pt.x = event.clientX;
+        pt.y = event.clientY;
+        const local = pt.matrixTransform(svg.getScreenCTM().inverse());
+        return {
+            p: Math.max(0, Math.min(1, (local.x - PLOT.left) / (PLOT.right - PLOT.left))),
+            v: Math.max(0, Math.min(1, (PLOT.bottom - local.y) / (PLOT.bottom - PLOT.top)))
+        };
+    };
+
+    // The curve currently heard: own curve, else the inherited one, else the default preset
+    const displayCurve = () => state.curve ?? state.inheritedCurve;
+    const displayLayers = () => getCurveLayers(displayCurve(), state.names.length);
+
+    // Start editing: freeze the displayed breakpoints into a custom curve
+    const ensureCustom = () => {
+        const current = displayCurve();
+        if (current?.preset === "custom" && current.layers?.length === state.names.length) {
+            if (!state.curve) state.curve = foundry.utils.deepClone(current);
+            return;
+        }
+        const base = current?.preset === "custom" ? current.base : (current?.preset ?? DEFAULT_CURVE_PRESET);
+        state.curve = {
+            preset: "custom",
+            base: CURVE_PRESETS[base] ? base : DEFAULT_CURVE_PRESET,
+            layers: foundry.utils.deepClone(displayLayers())
+        };
+    };
+
+    const serialize = () => {
+        hiddenInput.val(state.curve ? JSON.stringify(state.curve) : "");
+        hiddenInput.trigger('change');
+    };
+
+    const renderPreview = () => {
+        const values = displayLayers().map((points, i) => {
+            const volume = Math.round(interpolateBreakpoints(points, state.preview) * 100);
+            return `${state.names[i]} ${volume}%`;
+        });
+        previewValues.text(values.join(" · "));
+    };
+
+    const render = () => {
+        select.val(state.curve ? state.curve.preset : "");
+        state.active = Math.min(state.active, state.names.length - 1);
+
+        // Legend: click a layer to edit it
+        legend.empty();
+        state.names.forEach((name, i) => {
+            const chip = $('<span class="adaptive-curve-layer"></span>')
+                .text(name)
+                .css('border-color', LAYER_COLORS[i % LAYER_COLORS.length])
+                .toggleClass('active', i === state.active)
+                .on('click', () => {
+                    state.active = i;
+                    render();
+                });
+            legend.append(chip);
+        });
+
+        while (svg.firstChild) svg.removeChild(svg.firstChild);
+
+        // Grid at every 25% (the 5-stage breakpoints)
+        for (let g = 0; g <= 4; g++) {
+            const [x] = toSvg(g / 4, 0);
+            const line = document.createElementNS(SVG_NS, "line");
+            line.setAttribute("x1", x);
+            line.setAttribute("x2", x);
+            line.setAttribute("y1", PLOT.top);
+            line.setAttribute("y2", PLOT.bottom);
+            line.setAttribute("class", "grid");
+            svg.appendChild(line);
+        }
+
+        const layers = displayLayers();
+        // Draw the active layer last so its points sit on top
+        const order = layers.map((_, i) => i).filter(i => i !== state.active).concat(state.active);
+
+        for (const i of order) {
+            const points = layers[i];
+            if (!points) continue;
+            const color = LAYER_COLORS[i % LAYER_COLORS.length];
+
+            const polyline = document.createElementNS(SVG_NS, "polyline");
+            polyline.setAttribute("points", points.map(pt => toSvg(pt.p, pt.v).join(",")).join(" "));
+            polyline.setAttribute("stroke", color);
+            polyline.setAttribute("class", i === state.active ? "curve active" : "curve");
+            svg.appendChild(polyline);
+
+            if (i !== state.active) continue;
+
+            points.forEach((pt, index) => {
+                const [cx, cy] = toSvg(pt.p, pt.v);
+                const handle = document.createElementNS(SVG_NS, "circle");
+                handle.setAttribute("cx", cx);
+                handle.setAttribute("cy", cy);
+                handle.setAttribute("r", 4);
+                handle.setAttribute("fill", color);
+                handle.setAttribute("class", "handle");
+                handle.dataset.index = index;
+                svg.appendChild(handle);
+            });
+        }
+
+        // Preview marker
+        const [px] = toSvg(state.preview, 0);
+        const marker = document.createElementNS(SVG_NS, "line");
+        marker.setAttribute("x1", px);
+        marker.setAttribute("x2", px);
+        marker.setAttribute("y1", PLOT.top);
+        marker.setAttribute("y2", PLOT.bottom);
+        marker.setAttribute("class", "preview");
+        svg.appendChild(marker);
+
+        renderPreview();
+    };
+
+    // Dragging points
+    let drag = null;
+
+    svg.addEventListener("pointerdown", (event) => {
+        const index = event.target.dataset?.index;
+        if (index === undefined || event.button !== 0) return;
+        event.preventDefault();
+        ensureCustom();
+        drag = { index: Number(index), pointerId: event.pointerId };
+        svg.setPointerCapture(event.pointerId);
+    });
+
+    svg.addEventListener("pointermove", (event) => {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        const points = state.curve.layers[state.active];
+        const { p, v } = fromEvent(event);
+        const point = points[drag.index];
+
+        // End points stay pinned to 0% and 100%, inner points stay between their neighbours
+        if (drag.index === 0) point.p = 0;
+        else if (drag.index === points.length - 1) point.p = 1;
+        else point.p = Math.max(points[drag.index - 1].p, Math.min(points[drag.index + 1].p, Math.round(p * 100) / 100));
+        point.v = Math.round(v * 100) / 100;
+
+        render();
+    });
+
+    const endDrag = (event) => {
+        if (!drag || event.pointerId !== drag.pointerId) return;
+        svg.releasePointerCapture(event.pointerId);
+        drag = null;
+        serialize();
+    };
+    svg.addEventListener("pointerup", endDrag);
+    svg.addEventListener("pointercancel", endDrag);
+
+    // Add a point to the active layer
+    svg.addEventListener("dblclick", (event) => {
+        event.preventDefault();
+        ensureCustom();
+        const { p, v } = fromEvent(event);
+        const points = state.curve.layers[state.active];
+        const point = { p: Math.round(p * 100) / 100, v: Math.round(v * 100) / 100 };
+        const insertAt = points.findIndex(pt => pt.p > point.p);
+        if (insertAt <= 0) return; // Never before the 0% point or after the 100% point
+        points.splice(insertAt, 0, point);
+        render();
+        serialize();
+    });
+
+    // Remove a point from the active layer
+    svg.addEventListener("contextmenu", (event) => {
+        const index = event.target.dataset?.index;
+        if (index === undefined) return;
+        event.preventDefault();
+        event.stopPropagation();
+        ensureCustom();
+        const points = state.curve.layers[state.active];
+        const i = Number(index);
+        if (i === 0 || i === points.length - 1) return;
+        points.splice(i, 1);
+        render();
+        serialize();
+    });
+
+    select.on('change', (event) => {
+        const preset = event.target.value;
+        if (!preset) state.curve = null;
+        else if (preset === "custom") ensureCustom();
+        else state.curve = { preset };
+        render();
+        serialize();
+    });
+
+    editor.find('.adaptive-curve-preview-intensity').on('input', (event) => {
+        state.preview = parseInt(event.target.value) / 100;
+        render();
+    });
+
+    render();
+    serialize();
+
+    return {
+        setLayers(names) {
+            if (names.length === state.names.length && names.every((n, i) => n === state.names[i])) return;
+            state.names = names;
+            render();
+        }
+    };
+}
@@ -0,0 +1,83 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { DEFAULT_CHANNEL } from "./channels.js";
+import { seedCustomVolumes, syncCustomMixToggle, syncIntensitySliders } from "./sidebarIntensity.js";
+
+/**
+ * GM keybindings (Configure Controls -> Adaptive Audio), unbound by default
+ * They act on the default channel and go through the player like the sidebar, so they reach every client.
+ */
+
+/**
+ * Duration (ms) of the fade to combat intensity, matching the automatic combat fade
+ */
+const COMBAT_FADE_MS = 2000;
+
+/**
+ * Intensities (percent) with a snap keybinding each
+ */
+const SNAP_LEVELS = [0, 25, 50, 75, 100];
+
+/**
+ * Register the keybindings (must run during init)
+ */
+export function registerKeybindings() {
+    const register = (action, name, hint, onDown) => {
+        game.keybindings.register(MODULE_ID, action, {
+            name,
+            hint,
+            editable: [],
+            restricted: true,
+            precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL,
+            onDown: () => {
+                const player = game.adaptiveAudio?.player;
+                if (!player) return false;
+                onDown(player);
+                return true;
+            }
+        });
+    };
+
+    register("intensityUp", "Raise Intensity", "Raise intensity by the Keybinding Intensity Step setting.", player => nudge(player, 1));
+    register("intensityDown", "Lower Intensity", "Lower intensity by the Keybinding Intensity Step setting.", player => nudge(player, -1));
+
+    for (const level of SNAP_LEVELS) {
+        register(`intensity${level}`, `Set Intensity to ${level}%`, "Jump straight to this intensity.", player => setIntensity(player, level / 100));
+    }
+
+    register("toggleCustomMix", "Toggle Custom Mix", "Switch between Custom Mix and intensity mixing.", player => {
+        const enabled = !player.customMixEnabled;
+        if (enabled) seedCustomVolumes(player);
+        player.setCustomMixEnabled(enabled);
+        syncCustomMixToggle(enabled);
+    });
+
+    register("combatFade", "Fade to Combat Intensity", "Fade to the Combat Intensity setting over two seconds.", player => {
+        player.fadeTo(game.settings.get(MODULE_ID, "combatIntensity") / 100, COMBAT_FADE_MS, true);
+    });
+
+    register("stopAll", "Stop All Adaptive Sounds", "Stop every playing adaptive sound.", player => {
+        player.stopAllSounds().catch(err => console.error(`${MODULE_ID} | Failed to stop adaptive sounds:`, err));
+    });
+}
+
+/**
+ * Move intensity by one step
+ * @param {AdaptiveAudioPlayer} player
+ * @param {number} direction - 1 or -1
+ */
+function nudge(player, direction) {
+    const step = game.settings.get(MODULE_ID, "intensityStep") / 100;
+    setIntensity(player, player.getIntensity(DEFAULT_CHANNEL) + direction * step);
+}
+
+/**
+ * Set intensity now and move the sidebar sliders with it
+ * @param {AdaptiveAudioPlayer} player
+ * @param {number} intensity - 0.0 to 1.0
+ */
+function setIntensity(player, intensity) {
+    player.setGlobalIntensity(intensity, false, DEFAULT_CHANNEL);
+    const value = player.getIntensity(DEFAULT_CHANNEL);
+    debug(`Keybinding set intensity to ${(value * 100).toFixed(0)}%`);
+    syncIntensitySliders(Math.round(value * 100), DEFAULT_CHANNEL);
+}
@@ -0,0 +1,112 @@
+import { MODULE_ID } from "./settings.js";
+
+/**
+ * Default name for the top layer (the document's core `path`)
+ * Matches the original fixed Low/Mid/High shape where the base track was "High"
+ */
+export const DEFAULT_BASE_LAYER_NAME = "High";
+
+/**
+ * Legacy flag shape: fixed Low and Mid layers below the core path, lowest first
+ */
+const LEGACY_LAYER_FLAGS = [
+    { name: "Low", flag: "lowIntensityPath" },
+    { name: "Mid", flag: "midIntensityPath" }
+];
+
+/**
+ * Convert a layer name into a stable key (used for custom mix volumes)
+ * "High" -> "high", "Brass Section" -> "brass-section"
+ * @param {string} name
+ * @returns {string}
+ */
+export function layerKey(name) {
+    return String(name ?? "").trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "layer";
+}
+
+/**
+ * Normalize a stored `layers` flag value into an array of {name, path}
+ * The config form stores the list as a JSON string, older data may be an array or an index-keyed object.
+ * @param {Array|Object|string|undefined} value
+ * @returns {Array<{name: string, path: string}>|null} - null when no list is stored (use legacy flags)
+ */
+export function normalizeLayerList(value) {
+    if (value === undefined || value === null) return null;
+
+    if (typeof value === "string") {
+        if (!value.trim()) return [];
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            console.warn(`${MODULE_ID} | Could not parse stored layer list:`, e);
+            return [];
+        }
+    }
+
+    if (!Array.isArray(value)) {
+        if (typeof value !== "object") return [];
+        value = Object.keys(value)
+            .sort((a, b) => Number(a) - Number(b))
+            .map(k => value[k]);
+    }
+
+    return value
+        .filter(layer => layer && layer.path)
+        .map(layer => ({ name: String(layer.name || "").trim(), path: layer.path }));
+}
+
+/**
+ * Resolve the ordered layer list (lowest first) for an adaptive sound
+ * The core `path` is always the top layer. Layers below it come from the
+ * `layers` flag, or from the legacy `lowIntensityPath` / `midIntensityPath` flags.
+ * Layer keys are unique within a sound.
+ * @param {PlaylistSound} sound
+ * @returns {Array<{key: string, name: string, path: string}>}
+ */
+export function getSoundLayers(sound) {
+    if (!sound?.getFlag) return [];
+
+    let list = normalizeLayerList(sound.getFlag(MODULE_ID, "layers"));
+    if (list === null) {
+        list = LEGACY_LAYER_FLAGS
+            .map(({ name, flag }) => ({ name, path: sound.getFlag(MODULE_ID, flag) }))
+            .filter(layer => layer.path);
+    }
+
+    if (sound.path) {
+        list.push({ name: sound.getFlag(MODULE_ID, "baseLayerName") || DEFAULT_BASE_LAYER_NAME, path: sound.path });
+    }
+
+    const used = new Set();
+    return list.map((layer, index) => {
+        const name = layer.name || `Layer ${index + 1}`;
+        let key = layerKey(name);
+        if (used.has(key)) key = `${key}-${index + 1}`;
+        used.add(key);
+        return { key, name, path: layer.path };
+    });
+}
+
+/**
+ * Whether a sound carries at least one layer besides its core path
+ * @param {PlaylistSound} sound
+ * @returns {boolean}
+ */
+export function hasAdaptiveLayers(sound) {
+    if (!sound?.getFlag) return false;
+
+    const list = normalizeLayerList(sound.getFlag(MODULE_ID, "layers"));
+    if (list !== null) return list.length > 0;
+
+    return LEGACY_LAYER_FLAGS.some(({ flag }) => !!sound.getFlag(MODULE_ID, flag));
+}
+
+/**
+ * Convert a `layers` flag written by the config form into a plain array before it is saved
+ * @param {Object} changes - Create data or update changes
+ */
+export function normalizeLayerChanges(changes) {
+    const flags = changes?.flags?.[MODULE_ID];
+    if (!flags || !("layers" in flags)) return;
+    flags.layers = normalizeLayerList(flags.layers) ?? [];
+}
@@ -1,17 +1,46 @@
 import { MODULE_ID, registerSettings } from "./settings.js";
 import { AdaptiveAudioPlayer } from "./AdaptiveAudioPlayer.js";
 import { AdaptiveAudioUI } from "./AdaptiveAudioUI.js";
-import { injectPlaylistConfig, injectSoundConfig } from "./configInjection.js";
+import { injectPlaylistConfig, injectSceneConfig, injectSoundConfig } from "./configInjection.js";
 import { injectIntensitySlider, styleAdaptiveTracks } from "./sidebarIntensity.js";
 import { applyPatches } from "./patching.js";
+import { hasAdaptiveLayers } from "./layers.js";
+import { TriggerRulesConfig } from "./TriggerRulesConfig.js";
+import { registerRegionBehaviors } from "./regionBehaviors.js";
+import { AdaptiveAudioAPI } from "./api.js";
+import { registerChatCommands } from "./chatCommands.js";
+import { registerKeybindings } from "./keybindings.js";
+import { CueSheetApp } from "./CueSheetApp.js";
+import { AutomationEditor } from "./AutomationEditor.js";
+import { StemPatternsConfig } from "./StemPatternsConfig.js";
 
 // Global player instance
 let adaptiveAudioPlayer = null;
 let adaptiveAudioUI = null;
+let cueSheetApp = null;
 
 Hooks.once("init", () => {
     console.log(`${MODULE_ID} | Initializing Adaptive Audio module`);
     registerSettings();
+    registerRegionBehaviors();
+    registerChatCommands();
+    registerKeybindings();
+    game.settings.registerMenu(MODULE_ID, "triggerRulesMenu", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.triggerRulesMenu.name`),
+        label: game.i18n.localize(`${MODULE_ID}.settings.triggerRulesMenu.label`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.triggerRulesMenu.hint`),
+        icon: "fas fa-bolt",
+        type: TriggerRulesConfig,
+        restricted: true
+    });
+    game.settings.registerMenu(MODULE_ID, "stemPatternsMenu", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.stemPatternsMenu.name`),
+        label: game.i18n.localize(`${MODULE_ID}.settings.stemPatternsMenu.label`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.stemPatternsMenu.hint`),
+        icon: "fas fa-file-audio",
+        type: StemPatternsConfig,
+        restricted: true
+    });
     applyPatches();
 
     // REGISTER CONTEXT MENU HOOKS (Try both for broad compatibility)
@@ -65,11 +94,7 @@ Hooks.once("init", () => {
                 const playlist = game.playlists.get(playlistId);
                 const sound = playlist?.sounds.get(soundId);
                 
-                if (!sound) return false;
-                
-                const midPath = sound.getFlag(MODULE_ID, "midIntensityPath");
-                const lowPath = sound.getFlag(MODULE_ID, "lowIntensityPath");
-                return !!(midPath || lowPath);
+                return hasAdaptiveLayers(sound);
             },
             callback: (li) => {
                 const element = $(li);
@@ -83,6 +108,23 @@ Hooks.once("init", () => {
                 }
             }
         });
+
+        options.push({
+            name: `${MODULE_ID}.automation.menu`,
+            icon: '<i class="fas fa-wave-square"></i>',
+            condition: (li) => {
+                const element = $(li);
+                const sound = game.playlists.get(element.data("playlist-id"))?.sounds.get(element.data("sound-id"));
+                return game.user.isGM && hasAdaptiveLayers(sound);
+            },
+            callback: (li) => {
+                const element = $(li);
+                const sound = game.playlists.get(element.data("playlist-id"))?.sounds.get(element.data("sound-id"));
+                if (!sound) return;
+                const editor = foundry.applications.instances.get(AutomationEditor.idFor(sound)) ?? new AutomationEditor(sound);
+                editor.render({ force: true });
+            }
+        });
     });
 });
 
@@ -101,7 +143,10 @@ Hooks.once("ready", () => {
         ui: adaptiveAudioUI
     };
 
-    // Note: Combat hooks are handled internally by AdaptiveAudioPlayer
+    // Stable public API for macros and other modules
+    game.modules.get(MODULE_ID).api = new AdaptiveAudioAPI(adaptiveAudioPlayer);
+
+    // Note: Combat and trigger rule hooks are handled internally by AdaptiveAudioPlayer (see triggerRules.js)
 });
 
 // Inject adaptive audio configuration into playlist and sound configs
@@ -117,6 +162,14 @@ Hooks.on("renderPlaylistSoundConfig", (app, html, data) => {
     }, 0);
 });
 
+Hooks.on("renderAmbientSoundConfig", (app, html, data) => {
+    injectSoundConfig(app, html, data);
+});
+
+Hooks.on("renderSceneConfig", (app, html, data) => {
+    injectSceneConfig(app, html, data);
+});
+
 // Inject intensity slider into Playlists sidebar
 Hooks.on("renderPlaylistDirectory", (app, html, data) => {
     injectIntensitySlider(app, html, data);
@@ -139,6 +192,17 @@ Hooks.on("getSceneControlButtons", (controls) => {
                 game.adaptiveAudio?.ui?.render(true);
             }
         };
+        controls.sounds.tools["adaptive-audio-cues"] = {
+            name: "adaptive-audio-cues",
+            title: game.i18n.localize(`${MODULE_ID}.cueSheet.title`),
+            icon: "fas fa-list-ol",
+            button: true,
+            visible: game.user.isGM,
+            onClick: () => {
+                cueSheetApp ??= new CueSheetApp();
+                cueSheetApp.render({ force: true });
+            }
+        };
     }
 });
 
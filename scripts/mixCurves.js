@@ -0,0 +1,213 @@
+import { MODULE_ID } from "./settings.js";
+
+/**
+ * Mixing curves map intensity (0-1) to a volume (0-1) for every layer of a sound.
+ * A curve is stored as breakpoint data in `flags.adaptive-audio.mixCurve` on a Playlist,
+ * optionally overridden by the same flag on a PlaylistSound:
+ *   { preset: "ovani5" }                                   - a built-in preset
+ *   { preset: "custom", base: "additive", layers: [[{p, v}, ...], ...] } - edited breakpoints, lowest layer first
+ * A custom curve only applies to sounds with the same number of layers; other sounds use its `base` preset.
+ */
+
+/**
+ * Preset used when neither the sound nor its playlist stores a curve
+ */
+export const DEFAULT_CURVE_PRESET = "ovani5";
+
+/**
+ * Breakpoints sampled per segment when approximating non-linear presets
+ */
+const CURVE_SUBSTEPS = 6;
+
+/**
+ * The original 5-stage "oscillating low" curve for a Low/Mid/High stack
+ */
+const OVANI_BREAKPOINTS = [
+    [
+        {p: 0.00, v: 1.0},
+        {p: 0.25, v: 0.0},
+        {p: 0.50, v: 1.0},
+        {p: 0.75, v: 0.0},
+        {p: 1.00, v: 1.0}
+    ],
+    [
+        {p: 0.00, v: 0.0},
+        {p: 0.25, v: 1.0},
+        {p: 1.00, v: 1.0}
+    ],
+    [
+        {p: 0.00, v: 0.0},
+        {p: 0.50, v: 0.0},
+        {p: 0.75, v: 1.0},
+        {p: 1.00, v: 1.0}
+    ]
+];
+
+/**
+ * Drop consecutive breakpoints that share an intensity and value
+ * @param {Array<{p: number, v: number}>} points
+ * @returns {Array<{p: number, v: number}>}
+ */
+function dedupe(points) {
+    return points.filter((pt, i) => i === 0 || pt.p !== points[i - 1].p || pt.v !== points[i - 1].v);
+}
+
+/**
+ * Additive stack: the lowest layer always plays, each higher layer fades in over its own slice
+ * @param {number} count
+ */
+function additiveCurve(count) {
+    if (count === 1) return [[{p: 0, v: 1}, {p: 1, v: 1}]];
+    const step = 1 / (count - 1);
+    return Array.from({ length: count }, (_, i) => {
+        if (i === 0) return [{p: 0, v: 1}, {p: 1, v: 1}];
+        return dedupe([{p: 0, v: 0}, {p: (i - 1) * step, v: 0}, {p: i * step, v: 1}, {p: 1, v: 1}]);
+    });
+}
+
+/**
+ * Crossfade between neighbouring layers, each layer peaking at its own point on the range
+ * @param {number} count
+ * @param {boolean} equalPower - Use sin/cos gains instead of straight lines
+ */
+function crossfadeCurve(count, equalPower) {
+    if (count === 1) return [[{p: 0, v: 1}, {p: 1, v: 1}]];
+    const step = 1 / (count - 1);
+    const substeps = equalPower ? CURVE_SUBSTEPS : 1;
+
+    return Array.from({ length: count }, (_, i) => {
+        const points = [];
+        for (let segment = 0; segment < count - 1; segment++) {
+            for (let s = 0; s <= substeps; s++) {
+                if (segment > 0 && s === 0) continue; // Shared with the previous segment
+                const t = s / substeps;
+                let v = 0;
+                if (segment === i - 1) v = equalPower ? Math.sin(t * Math.PI / 2) : t;       // Fading in
+                else if (segment === i) v = equalPower ? Math.cos(t * Math.PI / 2) : 1 - t;  // Fading out
+                points.push({ p: (segment + t) * step, v: Math.round(v * 1000) / 1000 });
+            }
+        }
+        return dedupe(points);
+    });
+}
+
+/**
+ * Built-in curve presets
+ * Each generator returns one breakpoint list per layer, lowest layer first.
+ */
+export const CURVE_PRESETS = {
+    ovani5: {
+        label: "Ovani 5-stage",
+        generate: (count) => {
+            if (count === 3) return foundry.utils.deepClone(OVANI_BREAKPOINTS);
+            if (count === 2) return crossfadeCurve(2, false);
+            return additiveCurve(count);
+        }
+    },
+    additive: {
+        label: "Additive stack",
+        generate: (count) => additiveCurve(count)
+    },
+    linear: {
+        label: "Linear crossfade",
+        generate: (count) => crossfadeCurve(count, false)
+    },
+    equalPower: {
+        label: "Equal-power crossfade",
+        generate: (count) => crossfadeCurve(count, true)
+    }
+};
+
+/**
+ * Linear interpolation across breakpoints
+ * @param {Array<{p: number, v: number}>} points - Sorted by p
+ * @param {number} val - Intensity (0-1)
+ * @returns {number}
+ */
+export function interpolateBreakpoints(points, val) {
+    if (!points?.length) return 0;
+    if (val <= points[0].p) return points[0].v;
+
+    for (let i = 0; i < points.length - 1; i++) {
+        const p1 = points[i];
+        const p2 = points[i+1];
+        if (val >= p1.p && val <= p2.p) {
+            const range = p2.p - p1.p;
+            if (range <= 0) return p2.v;
+            const progress = (val - p1.p) / range;
+            return p1.v + (p2.v - p1.v) * progress;
+        }
+    }
+    return points[points.length-1].v;
+}
+
+/**
+ * Parse a stored curve (object or JSON string from the config form)
+ * @param {Object|string|null|undefined} value
+ * @returns {Object|null}
+ */
+export function normalizeCurve(value) {
+    if (value === undefined || value === null || value === "") return null;
+
+    if (typeof value === "string") {
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            console.warn(`${MODULE_ID} | Could not parse stored mix curve:`, e);
+            return null;
+        }
+    }
+
+    if (!value || typeof value !== "object" || !value.preset) return null;
+    if (value.preset !== "custom" && !CURVE_PRESETS[value.preset]) return null;
+    return value;
+}
+
+/**
+ * Convert a `mixCurve` flag written by the config form into an object before it is saved
+ * @param {Object} changes - Create data or update changes
+ */
+export function normalizeCurveChanges(changes) {
+    const flags = changes?.flags?.[MODULE_ID];
+    if (!flags || !("mixCurve" in flags)) return;
+    flags.mixCurve = normalizeCurve(flags.mixCurve);
+}
+
+/**
+ * Build per-layer breakpoints for a curve and layer count
+ * @param {Object|null} curve - Stored curve (null for the default preset)
+ * @param {number} count - Number of layers
+ * @returns {Array<Array<{p: number, v: number}>>}
+ */
+export function getCurveLayers(curve, count) {
+    if (count <= 0) return [];
+
+    if (curve?.preset === "custom") {
+        if (Array.isArray(curve.layers) && curve.layers.length === count) return curve.layers;
+        return (CURVE_PRESETS[curve.base] ?? CURVE_PRESETS[DEFAULT_CURVE_PRESET]).generate(count);
+    }
+
+    return (CURVE_PRESETS[curve?.preset] ?? CURVE_PRESETS[DEFAULT_CURVE_PRESET]).generate(count);
+}
+
+/**
+ * Evaluate a curve at an intensity
+ * @param {Object|null} curve - Stored curve (null for the default preset)
+ * @param {number} count - Number of layers
+ * @param {number} intensity - Value between 0.0 and 1.0
+ * @returns {number[]} - Volumes (0-1 range), lowest layer first
+ */
+export function evaluateCurve(curve, count, intensity) {
+    return getCurveLayers(curve, count).map(points => Math.max(0, Math.min(1, interpolateBreakpoints(points, intensity))));
+}
+
+/**
+ * Resolve the curve that applies to a sound: its own override, else its playlist's curve
+ * @param {PlaylistSound} sound
+ * @returns {Object|null}
+ */
+export function resolveMixCurve(sound) {
+    if (!sound?.getFlag) return null;
+    return normalizeCurve(sound.getFlag(MODULE_ID, "mixCurve"))
+        ?? normalizeCurve(sound.parent?.getFlag?.(MODULE_ID, "mixCurve"));
+}
@@ -1,4 +1,6 @@
 import { MODULE_ID, debug } from "./settings.js";
+import { hasAdaptiveLayers } from "./layers.js";
+import { patchAmbientSounds } from "./ambientSounds.js";
 
 /**
  * Apply patches to Foundry Core to support Adaptive Audio
@@ -17,11 +19,9 @@ export function applyPatches() {
             // Check if this is an adaptive sound
             // We use safe access (?) because this might be called during deletion/setup
             const isAdaptive = this.parent?.getFlag && this.parent.getFlag(MODULE_ID, "isAdaptive");
-            const midPath = this.getFlag && this.getFlag(MODULE_ID, "midIntensityPath");
-            const lowPath = this.getFlag && this.getFlag(MODULE_ID, "lowIntensityPath");
 
             // Only interfere if it's explicitly configured as adaptive (has alternate layers)
-            if (isAdaptive && (midPath || lowPath)) {
+            if (isAdaptive && hasAdaptiveLayers(this)) {
                 
                 // If the system tries to play it, we just ignore it.
                 // AdaptiveAudioPlayer listens to the same hooks/data and handles it.
@@ -41,4 +41,7 @@ export function applyPatches() {
         // For normal sounds, proceed as usual
         return originalSync.apply(this, arguments);
     };
+
+    // AmbientSounds with layers play them positionally (see ambientSounds.js)
+    patchAmbientSounds();
 }
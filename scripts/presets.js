@@ -0,0 +1,103 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { DEFAULT_CHANNEL } from "./channels.js";
+import { syncCustomMixToggle, syncCustomSliders, syncIntensitySliders } from "./sidebarIntensity.js";
+
+/**
+ * Named mix presets ("Exploration", "Tense", "Boss"), stored in the `mixPresets` world setting:
+ *   {id, name, intensity (0-100), customMix (boolean), volumes ({layer key: 0-1}), fade (seconds, 0 for instant)}
+ * The fade applies to intensity; Custom Mix volumes are set at once and glide on every client like a slider move.
+ */
+
+/**
+ * All saved presets, in the order they were created
+ * @returns {Array<Object>}
+ */
+export function getPresets() {
+    return game.settings.get(MODULE_ID, "mixPresets") ?? [];
+}
+
+/**
+ * Find a preset by id or name (case-insensitive)
+ * @param {string} nameOrId
+ * @returns {Object|null}
+ */
+export function findPreset(nameOrId) {
+    const query = String(nameOrId ?? "").trim().toLowerCase();
+    return getPresets().find(p => p.id === nameOrId || p.name.toLowerCase() === query) ?? null;
+}
+
+/**
+ * Save the current intensity and Custom Mix as a preset, replacing any preset with the same name
+ * @param {AdaptiveAudioPlayer} player
+ * @param {string} name
+ * @param {Object} [options]
+ * @param {number} [options.fade=0] - Fade time in seconds when the preset is recalled
+ * @returns {Promise<Object>} - The saved preset
+ */
+export async function savePreset(player, name, { fade = 0 } = {}) {
+    name = String(name ?? "").trim();
+    if (!name) throw new Error(`${MODULE_ID} | A preset needs a name`);
+
+    const keys = new Set([...player.getMixLayers().map(layer => layer.key), ...Object.keys(player.customVolumes)]);
+    const existing = findPreset(name);
+    const preset = {
+        id: existing?.id ?? foundry.utils.randomID(),
+        name,
+        intensity: Math.round(player.getIntensity(DEFAULT_CHANNEL) * 100),
+        customMix: player.customMixEnabled,
+        volumes: Object.fromEntries([...keys].map(key => [key, player.getCustomVolume(key)])),
+        fade: Math.max(0, Number(fade) || 0)
+    };
+
+    // A replaced preset keeps its place
+    const presets = [...getPresets()];
+    const index = presets.findIndex(p => p.id === preset.id);
+    if (index >= 0) presets[index] = preset;
+    else presets.push(preset);
+
+    debug(`Saving preset "${name}"`, preset);
+    await game.settings.set(MODULE_ID, "mixPresets", presets);
+    return preset;
+}
+
+/**
+ * Delete a preset
+ * @param {string} nameOrId
+ * @returns {Promise<boolean>} - Whether a preset was deleted
+ */
+export async function deletePreset(nameOrId) {
+    const preset = findPreset(nameOrId);
+    if (!preset) return false;
+    await game.settings.set(MODULE_ID, "mixPresets", getPresets().filter(p => p.id !== preset.id));
+    return true;
+}
+
+/**
+ * Recall a preset through the player, so it reaches every client when run by the GM
+ * @param {AdaptiveAudioPlayer} player
+ * @param {Object} preset
+ * @param {Object} [options]
+ * @param {number} [options.fade] - Fade time in seconds, overriding the preset's own
+ * @returns {Promise<boolean>} - Resolves once intensity has arrived (false if its fade was replaced)
+ */
+export async function applyPreset(player, preset, { fade } = {}) {
+    const duration = Math.max(0, Number(fade ?? preset.fade) || 0) * 1000;
+    debug(`Applying preset "${preset.name}" over ${duration}ms`);
+
+    if (preset.customMix) {
+        const volumes = preset.volumes ?? {};
+        if (!player.customMixEnabled) player.setCustomMixEnabled(true);
+        for (const [key, volume] of Object.entries(volumes)) player.setCustomVolume(key, volume);
+        syncCustomSliders(volumes);
+    } else if (player.customMixEnabled) {
+        player.setCustomMixEnabled(false);
+    }
+    syncCustomMixToggle(player.customMixEnabled);
+
+    const intensity = Math.max(0, Math.min(100, Number(preset.intensity) || 0)) / 100;
+    if (duration > 0) return player.fadeTo(intensity, duration, true);
+
+    player.setGlobalIntensity(intensity);
+    syncIntensitySliders(Math.round(intensity * 100), DEFAULT_CHANNEL);
+    return true;
+}
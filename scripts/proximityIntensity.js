@@ -0,0 +1,227 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { DEFAULT_CHANNEL } from "./channels.js";
+
+/**
+ * Default distance bands: "distance=intensity" pairs in scene units and percent
+ */
+export const DEFAULT_PROXIMITY_BANDS = "5=100, 30=50, 60=0";
+
+/**
+ * Minimum time (ms) between recomputations while tokens move
+ */
+const PROXIMITY_THROTTLE_MS = 250;
+
+/**
+ * Time (ms) between intensity steps while gliding toward a new value
+ */
+const PROXIMITY_STEP_MS = 100;
+
+/**
+ * Parse distance bands such as "5=100, 30=50, 60=0"
+ * @param {string} text
+ * @returns {Array<{distance: number, intensity: number}>} - Sorted by distance, intensity 0-1
+ */
+export function parseProximityBands(text) {
+    const bands = [];
+    for (const part of String(text || DEFAULT_PROXIMITY_BANDS).split(",")) {
+        const [distance, intensity] = part.split("=").map(s => Number(s?.trim()));
+        if (Number.isFinite(distance) && Number.isFinite(intensity)) {
+            bands.push({ distance: Math.max(0, distance), intensity: Math.max(0, Math.min(100, intensity)) / 100 });
+        }
+    }
+    return bands.sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Map a distance onto the bands, interpolating linearly between them
+ * @param {number} distance
+ * @param {Array<{distance: number, intensity: number}>} bands
+ * @returns {number|null} - Intensity 0-1, or null without bands
+ */
+export function intensityForDistance(distance, bands) {
+    if (!bands.length) return null;
+    if (distance <= bands[0].distance) return bands[0].intensity;
+
+    for (let i = 1; i < bands.length; i++) {
+        const prev = bands[i - 1];
+        const next = bands[i];
+        if (distance <= next.distance) {
+            const t = (distance - prev.distance) / (next.distance - prev.distance || 1);
+            return prev.intensity + (next.intensity - prev.intensity) * t;
+        }
+    }
+    return bands[bands.length - 1].intensity;
+}
+
+/**
+ * Whether a token counts as a threat: flagged on the token or its actor, or hostile when that setting is on
+ * @param {TokenDocument} token
+ * @returns {boolean}
+ */
+function isThreat(token) {
+    if (token.getFlag(MODULE_ID, "threat") || token.actor?.getFlag(MODULE_ID, "threat")) return true;
+    return game.settings.get(MODULE_ID, "proximityHostiles") && token.disposition === CONST.TOKEN_DISPOSITIONS.HOSTILE;
+}
+
+/**
+ * Drives intensity from how close player-owned tokens are to threats on the active scene
+ * Active only on the active GM, with the Proximity Intensity setting on and no combat automation running.
+ * Each new value retargets one running glide, streamed to players like a slider move and saved once it settles.
+ */
+export class ProximityIntensity {
+    /**
+     * @param {AdaptiveAudioPlayer} player
+     */
+    constructor(player) {
+        this.player = player;
+        this.lastValue = null;
+
+        // The running glide {from, to, startedAt, duration}, and the last intensity it set
+        this.glide = null;
+        this.glideInterval = null;
+        this.lastApplied = null;
+
+        this._recompute = foundry.utils.throttle(() => this.update(), PROXIMITY_THROTTLE_MS);
+
+        const schedule = (document) => {
+            if (!this.enabled) return;
+            const scene = document?.parent ?? document;
+            if (scene && scene !== game.scenes.active) return;
+            this._recompute();
+        };
+        Hooks.on("updateToken", schedule);
+        Hooks.on("createToken", schedule);
+        Hooks.on("deleteToken", schedule);
+        Hooks.on("updateScene", (scene, changes) => {
+            if (changes.active === true) {
+                this.reset();
+                schedule(scene);
+            }
+        });
+
+        // Take over again once combat automation has let go
+        Hooks.on("deleteCombat", () => {
+            this.reset();
+            schedule();
+        });
+    }
+
+    /**
+     * Whether this client should drive proximity intensity right now
+     * Combat automation takes precedence while a combat is tracked.
+     * @type {boolean}
+     */
+    get enabled() {
+        return game.settings.get(MODULE_ID, "proximityIntensity")
+            && this.player._isActiveGM()
+            && this.player.preCombatIntensity === null;
+    }
+
+    /**
+     * Closest distance between a player-owned token and a threat on a scene
+     * @param {Scene} scene
+     * @returns {number|null} - In scene units, or null when either side is missing
+     */
+    getClosestThreatDistance(scene) {
+        const heroes = [];
+        const threats = [];
+        for (const token of scene.tokens) {
+            if (token.actor?.hasPlayerOwner) heroes.push(token);
+            else if (isThreat(token)) threats.push(token);
+        }
+        if (!heroes.length || !threats.length) return null;
+
+        const size = scene.grid.size;
+        const center = (token) => ({ x: token.x + (token.width * size) / 2, y: token.y + (token.height * size) / 2 });
+
+        let closest = Infinity;
+        for (const hero of heroes) {
+            const a = center(hero);
+            for (const threat of threats) {
+                const distance = scene.grid.measurePath([a, center(threat)]).distance;
+                if (distance < closest) closest = distance;
+            }
+        }
+        return closest;
+    }
+
+    /**
+     * Recompute intensity from the active scene and glide to it
+     */
+    update() {
+        if (!this.enabled) return;
+
+        const scene = game.scenes.active;
+        if (!scene) return;
+
+        const bands = parseProximityBands(game.settings.get(MODULE_ID, "proximityBands"));
+        const distance = this.getClosestThreatDistance(scene);
+
+        // No threats (or no heroes) on the scene reads as "as far away as it gets"
+        const value = intensityForDistance(distance ?? Infinity, bands);
+        if (value === null) return;
+
+        // Ignore changes too small to hear
+        if (this.lastValue !== null && Math.abs(value - this.lastValue) < 0.01) return;
+        this.lastValue = value;
+
+        debug(`Proximity intensity ${(value * 100).toFixed(0)}% (closest threat: ${distance ?? "none"})`);
+        this._glideTo(value);
+    }
+
+    /**
+     * Glide linearly to a value over the smoothing time, retargeting the running glide if there is one
+     * @param {number} value - Intensity 0-1
+     * @private
+     */
+    _glideTo(value) {
+        this.glide = {
+            from: this.player.getIntensity(DEFAULT_CHANNEL),
+            to: value,
+            startedAt: performance.now(),
+            duration: game.settings.get(MODULE_ID, "proximitySmoothing") * 1000
+        };
+        this.lastApplied = null;
+        if (!this.glideInterval) this.glideInterval = setInterval(() => this._step(), PROXIMITY_STEP_MS);
+        this._step();
+    }
+
+    /**
+     * Move one step along the glide
+     * @private
+     */
+    _step() {
+        const current = this.player.getIntensity(DEFAULT_CHANNEL);
+
+        // Give way when combat takes over, or when the GM or a fade moved intensity since the last step
+        const overridden = this.lastApplied !== null && Math.abs(current - this.lastApplied) > 0.002;
+        if (!this.enabled || overridden) {
+            debug("Proximity glide stopped", overridden ? "(intensity changed elsewhere)" : "");
+            this._stopGlide();
+            return;
+        }
+
+        const { from, to, startedAt, duration } = this.glide;
+        const progress = duration > 0 ? Math.min(1, (performance.now() - startedAt) / duration) : 1;
+        this.player.setAutomatedIntensity(from + (to - from) * progress, DEFAULT_CHANNEL);
+        this.lastApplied = this.player.getIntensity(DEFAULT_CHANNEL);
+        if (progress >= 1) this._stopGlide();
+    }
+
+    /**
+     * @private
+     */
+    _stopGlide() {
+        clearInterval(this.glideInterval);
+        this.glideInterval = null;
+        this.glide = null;
+        this.lastApplied = null;
+    }
+
+    /**
+     * Forget the last computed value, so the next update always applies
+     */
+    reset() {
+        this.lastValue = null;
+    }
+}
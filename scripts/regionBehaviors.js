@@ -0,0 +1,279 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { FADE_EASINGS } from "./AdaptiveAudioPlayer.js";
+import { DEFAULT_CHANNEL, getChannels } from "./channels.js";
+
+/**
+ * Region Behaviors that drive the player when tokens enter or leave a Region
+ * They only act on the active GM; fadeTo, intensity changes and sound updates carry the result to everyone.
+ */
+
+const { BooleanField, DocumentUUIDField, NumberField, StringField } = foundry.data.fields;
+
+/**
+ * Zone states being written to the `activeZone` flag (behavior uuid -> {restore}, or null while clearing)
+ * The flag on the behavior keeps the state to restore across a reload or a change of active GM;
+ * this covers a second token crossing before the write lands.
+ */
+const pendingZones = new Map();
+
+/**
+ * The zone state of a behavior: the state to restore on exit, or null while no matching token is inside
+ * @param {RegionBehavior} behavior
+ * @returns {{restore: *}|null}
+ */
+function getActiveZone(behavior) {
+    if (pendingZones.has(behavior.uuid)) return pendingZones.get(behavior.uuid);
+    return behavior.getFlag(MODULE_ID, "activeZone") ?? null;
+}
+
+/**
+ * Remember (or forget, with null) the state to restore when the last matching token leaves
+ * @param {RegionBehavior} behavior
+ * @param {{restore: *}|null} zone
+ * @returns {Promise}
+ */
+async function setActiveZone(behavior, zone) {
+    pendingZones.set(behavior.uuid, zone);
+    try {
+        if (zone) await behavior.setFlag(MODULE_ID, "activeZone", zone);
+        else await behavior.unsetFlag(MODULE_ID, "activeZone");
+    } finally {
+        if (pendingZones.get(behavior.uuid) === zone) pendingZones.delete(behavior.uuid);
+    }
+}
+
+/**
+ * Shared fields and enter/exit bookkeeping
+ * Subclasses implement _captureRestore, _onEnter and _onExit.
+ */
+class AdaptiveRegionBehaviorType extends foundry.data.regionBehaviors.RegionBehaviorType {
+    static defineSchema() {
+        return {
+            playerOwnedOnly: new BooleanField({
+                label: "Player-Owned Tokens Only",
+                hint: "Ignore tokens without a player owner, such as monsters moved by the GM.",
+                initial: false
+            }),
+            restoreOnExit: new BooleanField({
+                label: "Restore on Exit",
+                hint: "When the last matching token leaves the region, return to how things were before the first one entered.",
+                initial: true
+            })
+        };
+    }
+
+    static events = {
+        [CONST.REGION_EVENTS.TOKEN_ENTER]: onTokenEnter,
+        [CONST.REGION_EVENTS.TOKEN_EXIT]: onTokenExit
+    };
+
+    /**
+     * Whether a token counts for this behavior
+     * @param {TokenDocument} token
+     * @returns {boolean}
+     */
+    _matchesToken(token) {
+        if (!token) return false;
+        return !this.playerOwnedOnly || !!token.actor?.hasPlayerOwner;
+    }
+}
+
+/**
+ * @this {AdaptiveRegionBehaviorType}
+ * @param {RegionEvent} event
+ */
+async function onTokenEnter(event) {
+    const player = game.adaptiveAudio?.player;
+    if (!player?._isActiveGM() || !this._matchesToken(event.data.token)) return;
+
+    // Only the first matching token to arrive triggers the zone
+    const token = event.data.token;
+    const zone = getActiveZone(this.behavior);
+    const others = [...(this.region.tokens ?? [])].some(t => t !== token && this._matchesToken(t));
+    if (zone && others) return;
+
+    // A zone whose last token left unseen (no active GM at the time) keeps the state from before it was entered
+    const restore = zone ? zone.restore : this._captureRestore(player);
+    debug(`Region "${this.region.name}" entered by ${token.name}`);
+    await Promise.all([setActiveZone(this.behavior, { restore }), this._onEnter(player)]);
+}
+
+/**
+ * @this {AdaptiveRegionBehaviorType}
+ * @param {RegionEvent} event
+ */
+async function onTokenExit(event) {
+    const player = game.adaptiveAudio?.player;
+    const token = event.data.token;
+    if (!player?._isActiveGM() || !this._matchesToken(token)) return;
+
+    // Wait until the last matching token has left
+    const remaining = [...(this.region.tokens ?? [])].some(t => t !== token && this._matchesToken(t));
+    const zone = getActiveZone(this.behavior);
+    if (remaining || !zone) return;
+
+    debug(`Region "${this.region.name}" left by its last token`);
+    await Promise.all([setActiveZone(this.behavior, null), this.restoreOnExit ? this._onExit(player, zone.restore) : null]);
+}
+
+/**
+ * Channel choices for the behavior config
+ * @returns {Object<string, string>}
+ */
+function channelChoices() {
+    return Object.fromEntries(getChannels().map(c => [c.id, c.name]));
+}
+
+/**
+ * "Set Adaptive Intensity": jump a channel to an intensity
+ */
+export class SetIntensityRegionBehaviorType extends AdaptiveRegionBehaviorType {
+    static defineSchema() {
+        return {
+            intensity: new NumberField({
+                label: "Intensity (%)",
+                required: true,
+                nullable: false,
+                min: 0,
+                max: 100,
+                step: 1,
+                initial: 80
+            }),
+            channel: new StringField({
+                label: "Channel",
+                required: true,
+                blank: false,
+                choices: channelChoices,
+                initial: DEFAULT_CHANNEL
+            }),
+            ...super.defineSchema()
+        };
+    }
+
+    _captureRestore(player) {
+        return player.getIntensity(this.channel);
+    }
+
+    // Automated, so a region never counts as a GM override of combat intensity or cuts a running fade
+    async _onEnter(player) {
+        player.setAutomatedIntensity(this.intensity / 100, this.channel);
+    }
+
+    async _onExit(player, previous) {
+        player.setAutomatedIntensity(previous, this.channel);
+    }
+}
+
+/**
+ * "Fade Adaptive Intensity": fade a channel to an intensity (and back on exit)
+ */
+export class FadeIntensityRegionBehaviorType extends SetIntensityRegionBehaviorType {
+    static defineSchema() {
+        return {
+            ...super.defineSchema(),
+            duration: new NumberField({
+                label: "Fade Duration (seconds)",
+                required: true,
+                nullable: false,
+                min: 0,
+                initial: 3
+            }),
+            easing: new StringField({
+                label: "Easing",
+                required: true,
+                blank: false,
+                choices: Object.fromEntries(Object.keys(FADE_EASINGS).map(key => [key, key])),
+                initial: "easeInOut"
+            })
+        };
+    }
+
+    async _onEnter(player) {
+        player.fadeTo(this.intensity / 100, this.duration * 1000, true, { easing: this.easing, channel: this.channel });
+    }
+
+    async _onExit(player, previous) {
+        player.fadeTo(previous, this.duration * 1000, true, { easing: this.easing, channel: this.channel });
+    }
+}
+
+/**
+ * "Play Adaptive Sound": start a sound, optionally crossfading from everything else
+ */
+export class PlaySoundRegionBehaviorType extends AdaptiveRegionBehaviorType {
+    static defineSchema() {
+        return {
+            sound: new DocumentUUIDField({
+                label: "Adaptive Sound",
+                hint: "Drag a sound from an adaptive playlist here.",
+                type: "PlaylistSound"
+            }),
+            crossfade: new NumberField({
+                label: "Crossfade (seconds)",
+                hint: "Crossfade from every other playing adaptive sound on its channel. 0 only replaces sounds in the same playlist, as playing it by hand would.",
+                required: true,
+                nullable: false,
+                min: 0,
+                initial: 2
+            }),
+            ...super.defineSchema()
+        };
+    }
+
+    /**
+     * Options for the sound update that starts a sound
+     * @returns {Object}
+     * @private
+     */
+    _playOptions() {
+        return this.crossfade > 0 ? { adaptiveAudioTransition: { duration: this.crossfade * 1000, curve: "equalPower" } } : {};
+    }
+
+    _captureRestore(player) {
+        // The adaptive sounds audible before the zone took over
+        return [...player.playingSounds.values()]
+            .filter(entry => !entry.fadingOut && !entry.paused && entry.sound.uuid && entry.sound.uuid !== this.sound)
+            .map(entry => entry.sound.uuid);
+    }
+
+    async _onEnter(player) {
+        const sound = this.sound ? await fromUuid(this.sound) : null;
+        if (!sound || player.playingSounds.has(sound.id)) return;
+        await sound.update({ playing: true }, this._playOptions());
+    }
+
+    async _onExit(player, previous) {
+        const sound = this.sound ? await fromUuid(this.sound) : null;
+        const toResume = previous.filter(uuid => !player.playingSounds.has(foundry.utils.parseUuid(uuid)?.id));
+
+        // Without a crossfade to carry it out, stop the zone's sound first
+        const options = this._playOptions();
+        if (sound?.playing && (!toResume.length || !options.adaptiveAudioTransition)) {
+            await sound.update({ playing: false, pausedTime: null });
+        }
+
+        // The first resumed sound crossfades out the zone's sound, the others join it
+        for (const [i, uuid] of toResume.entries()) {
+            const resume = await fromUuid(uuid);
+            if (resume) await resume.update({ playing: true }, i === 0 ? options : {});
+        }
+    }
+}
+
+/**
+ * Register the behavior types (declared under documentTypes.RegionBehavior in module.json)
+ */
+export function registerRegionBehaviors() {
+    const types = {
+        setIntensity: { model: SetIntensityRegionBehaviorType, label: "Set Adaptive Intensity", icon: "fa-solid fa-sliders" },
+        fadeIntensity: { model: FadeIntensityRegionBehaviorType, label: "Fade Adaptive Intensity", icon: "fa-solid fa-wave-square" },
+        playSound: { model: PlaySoundRegionBehaviorType, label: "Play Adaptive Sound", icon: "fa-solid fa-tower-broadcast" }
+    };
+
+    for (const [name, { model, label, icon }] of Object.entries(types)) {
+        const type = `${MODULE_ID}.${name}`;
+        CONFIG.RegionBehavior.dataModels[type] = model;
+        CONFIG.RegionBehavior.typeLabels[type] = label;
+        CONFIG.RegionBehavior.typeIcons[type] = icon;
+    }
+}
@@ -0,0 +1,118 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { getSoundLayers, hasAdaptiveLayers } from "./layers.js";
+import { DEFAULT_CHANNEL, resolveChannel } from "./channels.js";
+import { parseMixVolumes } from "./triggerRules.js";
+
+/**
+ * A Scene can carry its own adaptive music in `flags.adaptive-audio`:
+ *   soundUuid   - adaptive PlaylistSound to play
+ *   intensity   - starting intensity (0-100), empty to leave intensity alone
+ *   customMix   - optional Custom Mix such as "low=100, mid=60, high=0"
+ *   transition  - crossfade duration in seconds
+ *   preload     - preload the sound's layers when the scene is viewed
+ */
+
+/**
+ * Crossfade (seconds) used when a scene does not set one
+ */
+export const DEFAULT_SCENE_TRANSITION = 3;
+
+/**
+ * Curve used for scene crossfades (key of CROSSFADE_CURVES)
+ */
+const SCENE_TRANSITION_CURVE = "equalPower";
+
+/**
+ * Read a scene's adaptive audio configuration
+ * @param {Scene} scene
+ * @returns {{soundUuid: string|null, intensity: number|null, customMix: string, transition: number, preload: boolean}}
+ */
+export function getSceneAudio(scene) {
+    const flags = scene?.flags?.[MODULE_ID] ?? {};
+    const intensity = flags.intensity === "" || flags.intensity === null || flags.intensity === undefined ? NaN : Number(flags.intensity);
+    const transition = Number(flags.transition);
+    return {
+        soundUuid: flags.soundUuid || null,
+        intensity: Number.isFinite(intensity) ? Math.max(0, Math.min(100, intensity)) : null,
+        customMix: String(flags.customMix ?? "").trim(),
+        transition: Number.isFinite(transition) && flags.transition !== "" ? Math.max(0, transition) : DEFAULT_SCENE_TRANSITION,
+        preload: !!flags.preload
+    };
+}
+
+/**
+ * Switches the mix to a scene's adaptive audio configuration when the scene is activated
+ * The active GM applies it; the sound change and intensity fade reach every client through the player.
+ */
+export class SceneAudio {
+    /**
+     * @param {AdaptiveAudioPlayer} player
+     */
+    constructor(player) {
+        this.player = player;
+
+        Hooks.on("updateScene", (scene, changes) => {
+            if (changes.active === true && this.player._isActiveGM()) this.apply(scene);
+        });
+
+        // Warm the layer cache ahead of activation, while the GM prepares or views the scene
+        Hooks.on("canvasReady", (canvas) => this.preload(canvas.scene));
+        Hooks.on("renderSceneConfig", (app) => {
+            if (game.user.isGM) this.preload(app.document);
+        });
+    }
+
+    /**
+     * Crossfade to a scene's configured sound, intensity and Custom Mix
+     * @param {Scene} scene
+     */
+    async apply(scene) {
+        const config = getSceneAudio(scene);
+        if (!config.soundUuid && config.intensity === null && !config.customMix) return;
+
+        debug(`Applying adaptive audio for scene "${scene.name}"`, config);
+        const player = this.player;
+        const duration = config.transition * 1000;
+
+        const sound = config.soundUuid ? await fromUuid(config.soundUuid) : null;
+        const playable = hasAdaptiveLayers(sound) && !!sound.parent?.getFlag(MODULE_ID, "isAdaptive");
+        if (config.soundUuid && !playable) {
+            ui.notifications.warn(`Adaptive Audio: The sound configured for scene "${scene.name}" is missing or not adaptive.`);
+        }
+
+        // A Custom Mix replaces intensity mixing; a scene with only an intensity returns to it
+        if (config.customMix) {
+            if (!player.customMixEnabled) player.setCustomMixEnabled(true);
+            for (const [key, volume] of Object.entries(parseMixVolumes(config.customMix))) player.setCustomVolume(key, volume);
+        } else if (config.intensity !== null && player.customMixEnabled) {
+            player.setCustomMixEnabled(false);
+        }
+
+        if (config.intensity !== null) {
+            const channel = sound ? resolveChannel(sound) : DEFAULT_CHANNEL;
+            player.fadeTo(config.intensity / 100, duration, true, { channel });
+        }
+
+        // Start the sound through its document, so every client crossfades into it
+        if (playable && !player.playingSounds.has(sound.id)) {
+            await sound.update({ playing: true }, {
+                adaptiveAudioTransition: { duration, curve: SCENE_TRANSITION_CURVE }
+            });
+        }
+    }
+
+    /**
+     * Preload the layers of a scene's sound, if the scene asks for it
+     * @param {Scene} scene
+     */
+    async preload(scene) {
+        const config = getSceneAudio(scene);
+        if (!config.preload || !config.soundUuid) return;
+
+        const sound = await fromUuid(config.soundUuid);
+        if (!hasAdaptiveLayers(sound)) return;
+
+        debug(`Preloading adaptive audio for scene "${scene.name}"`);
+        await Promise.all(getSoundLayers(sound).map(layer => this.player._preloadSound(layer.path)));
+    }
+}
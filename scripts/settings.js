@@ -26,6 +26,37 @@ export function registerSettings() {
         default: true
     });
 
+    game.settings.register(MODULE_ID, "combatIntensityMode", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.combatIntensityMode.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.combatIntensityMode.hint`),
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            fixed: game.i18n.localize(`${MODULE_ID}.settings.combatIntensityMode.fixed`),
+            dynamic: game.i18n.localize(`${MODULE_ID}.settings.combatIntensityMode.dynamic`)
+        },
+        default: "fixed"
+    });
+
+    game.settings.register(MODULE_ID, "combatFormula", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.combatFormula.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.combatFormula.hint`),
+        scope: "world",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "combatHpAttribute", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.combatHpAttribute.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.combatHpAttribute.hint`),
+        scope: "world",
+        config: true,
+        type: String,
+        default: ""
+    });
+
     game.settings.register(MODULE_ID, "masterVolume", {
         name: game.i18n.localize(`${MODULE_ID}.settings.masterVolume.name`),
         hint: game.i18n.localize(`${MODULE_ID}.settings.masterVolume.hint`),
@@ -55,14 +86,193 @@ export function registerSettings() {
     });
 
     game.settings.register(MODULE_ID, "autoDetectOvani", {
-        name: "Auto-Detect Ovani Layers",
-        hint: "When selecting a 'Main.wav' file from Ovani, automatically set the Mid and Low intensity tracks.",
+        name: game.i18n.localize(`${MODULE_ID}.settings.autoDetectOvani.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.autoDetectOvani.hint`),
         scope: "world",
         config: true,
         type: Boolean,
         default: true
     });
 
+    game.settings.register(MODULE_ID, "playbackEngine", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.playbackEngine.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.playbackEngine.hint`),
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            scheduled: game.i18n.localize(`${MODULE_ID}.settings.playbackEngine.scheduled`),
+            sound: game.i18n.localize(`${MODULE_ID}.settings.playbackEngine.sound`)
+        },
+        default: "scheduled"
+    });
+
+    game.settings.register(MODULE_ID, "customChannels", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.customChannels.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.customChannels.hint`),
+        scope: "world",
+        config: true,
+        type: String,
+        default: "",
+        onChange: () => ui.playlists?.render()
+    });
+
+    game.settings.register(MODULE_ID, "proximityIntensity", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.proximityIntensity.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.proximityIntensity.hint`),
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false,
+        onChange: (value) => {
+            if (value) game.adaptiveAudio?.player?.proximityIntensity.update();
+        }
+    });
+
+    game.settings.register(MODULE_ID, "proximityBands", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.proximityBands.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.proximityBands.hint`),
+        scope: "world",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "proximitySmoothing", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.proximitySmoothing.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.proximitySmoothing.hint`),
+        scope: "world",
+        config: true,
+        type: Number,
+        range: {
+            min: 0,
+            max: 10,
+            step: 0.5
+        },
+        default: 1.5
+    });
+
+    game.settings.register(MODULE_ID, "proximityHostiles", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.proximityHostiles.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.proximityHostiles.hint`),
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false
+    });
+
+    game.settings.register(MODULE_ID, "impulseAmount", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.impulseAmount.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.impulseAmount.hint`),
+        scope: "world",
+        config: true,
+        type: Number,
+        range: {
+            min: 0,
+            max: 100,
+            step: 5
+        },
+        default: 30
+    });
+
+    game.settings.register(MODULE_ID, "impulseDuration", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.impulseDuration.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.impulseDuration.hint`),
+        scope: "world",
+        config: true,
+        type: Number,
+        range: {
+            min: 1,
+            max: 30,
+            step: 1
+        },
+        default: 6
+    });
+
+    game.settings.register(MODULE_ID, "impulseCurve", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.impulseCurve.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.impulseCurve.hint`),
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            exponential: game.i18n.localize(`${MODULE_ID}.settings.impulseCurve.exponential`),
+            linear: game.i18n.localize(`${MODULE_ID}.settings.impulseCurve.linear`),
+            smooth: game.i18n.localize(`${MODULE_ID}.settings.impulseCurve.smooth`)
+        },
+        default: "exponential"
+    });
+
+    game.settings.register(MODULE_ID, "intensityStep", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.intensityStep.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.intensityStep.hint`),
+        scope: "world",
+        config: true,
+        type: Number,
+        range: {
+            min: 1,
+            max: 50,
+            step: 1
+        },
+        default: 10
+    });
+
+    game.settings.register(MODULE_ID, "chatCommandRole", {
+        name: game.i18n.localize(`${MODULE_ID}.settings.chatCommandRole.name`),
+        hint: game.i18n.localize(`${MODULE_ID}.settings.chatCommandRole.hint`),
+        scope: "world",
+        config: true,
+        type: String,
+        choices: {
+            ASSISTANT: game.i18n.localize(`${MODULE_ID}.settings.chatCommandRole.ASSISTANT`),
+            TRUSTED: game.i18n.localize(`${MODULE_ID}.settings.chatCommandRole.TRUSTED`),
+            PLAYER: game.i18n.localize(`${MODULE_ID}.settings.chatCommandRole.PLAYER`),
+            NONE: game.i18n.localize(`${MODULE_ID}.settings.chatCommandRole.NONE`)
+        },
+        default: "ASSISTANT"
+    });
+
+    // Named intensity/Custom Mix presets (see presets.js), shown as buttons in the sidebar
+    game.settings.register(MODULE_ID, "mixPresets", {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: [],
+        onChange: () => ui.playlists?.render()
+    });
+
+    // World cue sheet (see cueSheet.js); scenes keep their own in flags
+    game.settings.register(MODULE_ID, "cueSheet", {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // GM-defined stem naming patterns (see stemPatterns.js), edited in the Stem Naming Patterns menu registered in main.js
+    game.settings.register(MODULE_ID, "stemPatterns", {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Ids of the built-in stem naming patterns switched off in the same menu
+    game.settings.register(MODULE_ID, "disabledStemPatterns", {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Trigger rules (event -> action), edited in the Trigger Rules menu registered in main.js
+    game.settings.register(MODULE_ID, "triggerRules", {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: []
+    });
+
     // Internal settings for persistence
     game.settings.register(MODULE_ID, "lowTrackPath", {
         scope: "client",
@@ -91,6 +301,29 @@ export function registerSettings() {
         }
     });
 
+    // Intensity (0-100) of every channel except the default one, which uses currentIntensity
+    game.settings.register(MODULE_ID, "channelIntensities", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: (value) => {
+            if (game.adaptiveAudio?.player) {
+                for (const [channel, intensity] of Object.entries(value ?? {})) {
+                    game.adaptiveAudio.player.setGlobalIntensity(intensity / 100, true, channel);
+                }
+            }
+        }
+    });
+
+    // Fades currently running on every client (channel -> fade), so late joiners can pick them up mid-fade
+    game.settings.register(MODULE_ID, "activeFades", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
     // Custom Mix Settings
     game.settings.register(MODULE_ID, "customMixEnabled", {
         scope: "world",
@@ -139,6 +372,21 @@ export function registerSettings() {
             }
         }
     });
+
+    // Custom mix volumes for named layers beyond Low/Mid/High (layer key -> volume)
+    game.settings.register(MODULE_ID, "customLayerVolumes", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {},
+        onChange: (value) => {
+            if (game.adaptiveAudio?.player) {
+                for (const [key, volume] of Object.entries(value ?? {})) {
+                    game.adaptiveAudio.player.setCustomVolume(key, volume, true);
+                }
+            }
+        }
+    });
 }
 
 /**
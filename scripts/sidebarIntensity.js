@@ -1,4 +1,16 @@
 import { MODULE_ID, debug } from "./settings.js";
+import { hasAdaptiveLayers } from "./layers.js";
+import { DEFAULT_CHANNEL, getChannelName } from "./channels.js";
+import { applyPreset, deletePreset, getPresets, savePreset } from "./presets.js";
+
+/**
+ * Fallback Custom Mix layers when the player is not ready yet, highest first
+ */
+const DEFAULT_MIX_LAYERS = [
+    { key: "high", name: "High" },
+    { key: "mid", name: "Mid" },
+    { key: "low", name: "Low" }
+];
 
 /**
  * Inject global intensity slider into the Playlists sidebar
@@ -13,23 +25,51 @@ export function injectIntensitySlider(app, html, data) {
     // Check if already injected
     if (html.find('.adaptive-audio-intensity').length) return;
 
-    const currentIntensity = game.settings.get(MODULE_ID, "currentIntensity");
-    
-    // Get current custom mix state from player if available
-    // Get current custom mix state from Settings (Source of Truth for UI Init)
-    const customMixEnabled = game.settings.get(MODULE_ID, "customMixEnabled");
-    const customHigh = Math.round((game.settings.get(MODULE_ID, "customHighVolume") ?? 1.0) * 100);
-    const customMid = Math.round((game.settings.get(MODULE_ID, "customMidVolume") ?? 1.0) * 100);
-    const customLow = Math.round((game.settings.get(MODULE_ID, "customLowVolume") ?? 1.0) * 100);
-    
     const player = game.adaptiveAudio?.player;
 
+    // Live values from the player: the settings are only written once a gesture or fade settles
+    const currentIntensity = player
+        ? Math.round(player.getIntensity(DEFAULT_CHANNEL) * 100)
+        : game.settings.get(MODULE_ID, "currentIntensity");
+    const customMixEnabled = player?.customMixEnabled ?? game.settings.get(MODULE_ID, "customMixEnabled");
+
+    // One Custom Mix slider per layer of the playing sounds (High/Mid/Low when nothing plays)
+    const mixLayers = player?.getMixLayers() ?? DEFAULT_MIX_LAYERS;
+    const customSlidersHTML = mixLayers.map(layer => {
+        const value = Math.round((player?.getCustomVolume(layer.key) ?? 1.0) * 100);
+        const label = layer.key === "high" ? `${layer.name} (Base)` : layer.name;
+        return `
+                <div class="custom-track-control">
+                    <label>${label}</label>
+                    <input type="range" name="customLayer" data-layer="${layer.key}" min="0" max="100" step="1" value="${value}" />
+                </div>`;
+    }).join("");
+
+    // One extra slider per other channel with a playing sound
+    const channels = (player?.getActiveChannels() ?? []).filter(channel => channel !== DEFAULT_CHANNEL);
+    const channelSlidersHTML = channels.map(channel => {
+        const value = Math.round(player.getIntensity(channel) * 100);
+        return `
+            <div class="intensity-control channel-intensity" data-channel="${channel}">
+                <label class="intensity-channel-name">${getChannelName(channel)}</label>
+                <input type="range" name="channelIntensity" data-channel="${channel}" min="0" max="100" step="1" value="${value}" />
+                <div class="intensity-value-display">
+                    <span class="intensity-value">${value}%</span>
+                </div>
+            </div>`;
+    }).join("");
+
+    // One button per saved preset (right-click to delete)
+    const presetButtonsHTML = getPresets().map(preset => `
+                <button type="button" class="preset-btn" data-preset-id="${preset.id}" title="${Handlebars.escapeExpression(presetSummary(preset))}">${Handlebars.escapeExpression(preset.name)}</button>`).join("");
+
     // Create intensity slider HTML
     const intensityHTML = `
         <div class="adaptive-audio-intensity">
             <h3>Adaptive Audio Intensity</h3>
             
-            <div class="intensity-control main-intensity">
+            <div class="intensity-control main-intensity" data-channel="${DEFAULT_CHANNEL}">
+                ${channels.length ? `<label class="intensity-channel-name">${getChannelName(DEFAULT_CHANNEL)}</label>` : ''}
                 <label class="intensity-labels">
                     <span>Low</span>
                     <span>High</span>
@@ -39,6 +79,7 @@ export function injectIntensitySlider(app, html, data) {
                     <span class="intensity-value">${currentIntensity}%</span>
                 </div>
             </div>
+${channelSlidersHTML}
 
             <div class="custom-mix-toggle">
                 <label>
@@ -46,27 +87,24 @@ export function injectIntensitySlider(app, html, data) {
                 </label>
             </div>
 
-            <div class="custom-mix-controls" style="${customMixEnabled ? '' : 'display: none;'}">
-                <div class="custom-track-control">
-                    <label>High (Base)</label>
-                    <input type="range" name="customHigh" min="0" max="100" step="1" value="${customHigh}" />
-                </div>
-                <div class="custom-track-control">
-                    <label>Mid</label>
-                    <input type="range" name="customMid" min="0" max="100" step="1" value="${customMid}" />
-                </div>
-                <div class="custom-track-control">
-                    <label>Low</label>
-                    <input type="range" name="customLow" min="0" max="100" step="1" value="${customLow}" />
-                </div>
+            <div class="custom-mix-controls" style="${customMixEnabled ? '' : 'display: none;'}">${customSlidersHTML}
+            </div>
+
+            <div class="adaptive-audio-presets">${presetButtonsHTML}
+                <button type="button" class="preset-save-btn" title="Save the current intensity and Custom Mix as a preset">
+                    <i class="fas fa-floppy-disk"></i>
+                </button>
             </div>
 
-            <p class="notes">Controls the mix between low, mid, and high intensity tracks. Note: Custom Mix overrides automatic Combat Intensity changes.</p>
+            <p class="notes">Controls the mix between the layers of each adaptive track. Note: Custom Mix overrides automatic Combat Intensity changes.</p>
             
             <div class="adaptive-audio-actions" style="margin-top: 5px; text-align: center;">
                 <button type="button" class="preload-all-btn">
                     <i class="fas fa-download"></i> Preload All
                 </button>
+                <button type="button" class="impulse-btn" title="Spike intensity, then decay back">
+                    <i class="fas fa-bolt"></i> Impulse
+                </button>
             </div>
         </div>
     `;
@@ -85,11 +123,12 @@ export function injectIntensitySlider(app, html, data) {
         insertPoint.before(intensityHTML);
     }
 
-    // Helper to calculate volumes from intensity
+    // Helper to calculate volumes (keyed by layer) from intensity
     const calculateVolumes = (intensity) => {
         // Use shared logic from player if available (DRY)
-        if (game.adaptiveAudio?.player?.calculateMix) {
-            return game.adaptiveAudio.player.calculateMix(intensity);
+        // The sliders list layers highest first, the mix curves expect lowest first
+        if (game.adaptiveAudio?.player?.calculateLayerVolumes) {
+            return game.adaptiveAudio.player.calculateLayerVolumes([...mixLayers].reverse(), intensity);
         }
 
         // Fallback (Simple linear crossfade in case player not ready)
@@ -110,12 +149,19 @@ export function injectIntensitySlider(app, html, data) {
     const updateCustomSliders = (volumes) => {
         $('.adaptive-audio-intensity').each(function() {
             const container = $(this);
-            container.find('input[name="customHigh"]').val(Math.round(volumes.high * 100));
-            container.find('input[name="customMid"]').val(Math.round(volumes.mid * 100));
-            container.find('input[name="customLow"]').val(Math.round(volumes.low * 100));
+            for (const [key, volume] of Object.entries(volumes)) {
+                container.find(`input[name="customLayer"][data-layer="${key}"]`).val(Math.round(volume * 100));
+            }
         });
     };
 
+    // Helper to push a full set of layer volumes to the player
+    const applyCustomVolumes = (volumes) => {
+        for (const [key, volume] of Object.entries(volumes)) {
+            game.adaptiveAudio.player.setCustomVolume(key, volume);
+        }
+    };
+
     // Bind intensity slider event
     html.find('.adaptive-audio-intensity input[name="intensity"]').on('input', function(event) {
         const value = parseInt(event.target.value);
@@ -125,7 +171,7 @@ export function injectIntensitySlider(app, html, data) {
         $('.adaptive-audio-intensity').each(function() {
             const container = $(this);
             const slider = container.find('input[name="intensity"]');
-            const display = container.find('.intensity-value');
+            const display = container.find('.main-intensity .intensity-value');
             
             // Sync slider value if not the one being dragged
             if (slider[0] !== event.target) {
@@ -149,14 +195,18 @@ export function injectIntensitySlider(app, html, data) {
                 updateCustomSliders(volumes);
                 
                 // Update player custom volumes
-                game.adaptiveAudio.player.setCustomVolume('high', volumes.high);
-                game.adaptiveAudio.player.setCustomVolume('mid', volumes.mid);
-                game.adaptiveAudio.player.setCustomVolume('low', volumes.low);
+                applyCustomVolumes(volumes);
             }
         }
         
-        // Save to settings
-        game.settings.set(MODULE_ID, "currentIntensity", value);
+    });
+
+    // Bind channel sliders
+    html.find('.adaptive-audio-intensity input[name="channelIntensity"]').on('input', function(event) {
+        const value = parseInt(event.target.value);
+        const channel = event.target.dataset.channel;
+        syncIntensitySliders(value, channel);
+        game.adaptiveAudio?.player?.setGlobalIntensity(value / 100, false, channel);
     });
 
     // Bind Custom Mix toggle
@@ -182,21 +232,11 @@ export function injectIntensitySlider(app, html, data) {
             }
         });
         
-        if (enabled) {
+        if (enabled && game.adaptiveAudio?.player) {
             // Initialize volume values based on current intensity
             // We use the first found intensity slider as source of truth (they should be synced)
             const globalVal = parseInt($('.adaptive-audio-intensity input[name="intensity"]').val() || "0");
-            const currentGlobal = globalVal / 100;
-            const volumes = calculateVolumes(currentGlobal);
-            
-            updateCustomSliders(volumes);
-            
-            // Also update player state
-            if (game.adaptiveAudio?.player) {
-                game.adaptiveAudio.player.setCustomVolume('high', volumes.high);
-                game.adaptiveAudio.player.setCustomVolume('mid', volumes.mid);
-                game.adaptiveAudio.player.setCustomVolume('low', volumes.low);
-            }
+            seedCustomVolumes(game.adaptiveAudio.player, globalVal / 100);
         }
         
         if (game.adaptiveAudio?.player) {
@@ -205,19 +245,43 @@ export function injectIntensitySlider(app, html, data) {
     });
 
     // Bind Custom Mix sliders
-    const bindCustomSlider = (name, type) => {
-        html.find(`.adaptive-audio-intensity input[name="${name}"]`).on('input', function(event) {
-            const value = parseInt(event.target.value) / 100;
-            if (game.adaptiveAudio?.player) {
-                game.adaptiveAudio.player.setCustomVolume(type, value);
-            }
-        });
-    };
+    html.find('.adaptive-audio-intensity input[name="customLayer"]').on('input', function(event) {
+        const value = parseInt(event.target.value) / 100;
+        if (game.adaptiveAudio?.player) {
+            game.adaptiveAudio.player.setCustomVolume(event.target.dataset.layer, value);
+        }
+    });
+
+    // Bind Impulse button (strength, decay and curve come from the module settings)
+    html.find('.adaptive-audio-intensity .impulse-btn').on('click', (event) => {
+        event.preventDefault();
+        game.adaptiveAudio?.player?.impulse(
+            game.settings.get(MODULE_ID, "impulseAmount") / 100,
+            game.settings.get(MODULE_ID, "impulseDuration") * 1000,
+            { curve: game.settings.get(MODULE_ID, "impulseCurve") }
+        );
+    });
 
-    bindCustomSlider('customHigh', 'high');
-    bindCustomSlider('customMid', 'mid');
-    bindCustomSlider('customLow', 'low');
-    bindCustomSlider('customLow', 'low');
+    // Bind preset buttons
+    html.find('.adaptive-audio-intensity .preset-btn').on('click', (event) => {
+        event.preventDefault();
+        const preset = getPresets().find(p => p.id === event.currentTarget.dataset.presetId);
+        if (preset && game.adaptiveAudio?.player) applyPreset(game.adaptiveAudio.player, preset);
+    });
+    html.find('.adaptive-audio-intensity .preset-btn').on('contextmenu', async (event) => {
+        event.preventDefault();
+        const preset = getPresets().find(p => p.id === event.currentTarget.dataset.presetId);
+        if (!preset) return;
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: "Delete Preset" },
+            content: `<p>Delete the preset <strong>${Handlebars.escapeExpression(preset.name)}</strong>?</p>`
+        });
+        if (confirmed) await deletePreset(preset.id);
+    });
+    html.find('.adaptive-audio-intensity .preset-save-btn').on('click', (event) => {
+        event.preventDefault();
+        promptSavePreset();
+    });
 
     // Bind Preload All button
     html.find('.adaptive-audio-intensity .preload-all-btn').on('click', (event) => {
@@ -249,12 +313,9 @@ export function styleAdaptiveTracks(app, html, data) {
         
         // Check if this is an adaptive sound
         // It must have at least one alternative track configured and main track must be present
-        const midPath = sound.getFlag(MODULE_ID, "midIntensityPath");
-        const lowPath = sound.getFlag(MODULE_ID, "lowIntensityPath");
-        
         // Only consider it adaptive if it has flags OR the playlist is marked adaptive
         // But specifically we want to highlight tracks that actually HAVE adaptive qualities
-        if (midPath || lowPath) {
+        if (hasAdaptiveLayers(sound)) {
             // Found an adaptive track
             const header = li.find("header");
             const icon = header.find("i.fa-music"); // Default icon
@@ -273,6 +334,49 @@ export function styleAdaptiveTracks(app, html, data) {
         }
     });
 }
+/**
+ * Short description of a preset, for its button tooltip
+ * @param {Object} preset
+ * @returns {string}
+ */
+function presetSummary(preset) {
+    const mix = preset.customMix
+        ? `Custom Mix: ${Object.entries(preset.volumes ?? {}).map(([key, volume]) => `${key} ${Math.round(volume * 100)}%`).join(", ")}`
+        : `Intensity ${preset.intensity}%`;
+    return preset.fade ? `${mix} (${preset.fade}s fade)` : mix;
+}
+
+/**
+ * Ask for a name and fade time, then save the current mix as a preset
+ */
+async function promptSavePreset() {
+    const player = game.adaptiveAudio?.player;
+    if (!player) return;
+
+    const result = await foundry.applications.api.DialogV2.prompt({
+        window: { title: "Save Preset" },
+        content: `
+            <div class="form-group">
+                <label>Name</label>
+                <input type="text" name="name" placeholder="Tense" autofocus />
+            </div>
+            <div class="form-group">
+                <label>Fade (seconds)</label>
+                <input type="number" name="fade" value="0" min="0" step="0.5" />
+            </div>
+            <p class="notes">Saves the current intensity and Custom Mix. A preset with the same name is replaced.</p>`,
+        ok: {
+            label: "Save",
+            callback: (event, button) => ({ name: button.form.elements.name.value, fade: button.form.elements.fade.valueAsNumber })
+        },
+        rejectClose: false
+    });
+    if (!result?.name?.trim()) return;
+
+    const preset = await savePreset(player, result.name, { fade: result.fade });
+    ui.notifications.info(`Adaptive Audio: Saved preset "${preset.name}".`);
+}
+
 // Sync UI when setting changes externally
 // Sync UI when setting changes externally
 Hooks.on("updateSetting", (setting, changes, options, userId) => {
@@ -282,57 +386,25 @@ Hooks.on("updateSetting", (setting, changes, options, userId) => {
     // 1. Custom Mix Sync
     if (setting.key === `${MODULE_ID}.customMixEnabled`) {
         if (changes.value === undefined) return;
-        const enabled = changes.value;
-        
-        $('.adaptive-audio-intensity').each(function() {
-            const container = $(this);
-            const checkbox = container.find('input[name="customMix"]');
-            const controls = container.find('.custom-mix-controls');
-            
-            // Sync Checkbox
-            if (checkbox.prop('checked') !== enabled) {
-                checkbox.prop('checked', enabled);
-            }
-            
-            // Sync Visibility
-            // Only intervene if state doesn't match target
-            if (enabled) {
-                // Populate values from player state (if available) before showing
-                if (game.adaptiveAudio?.player) {
-                    const p = game.adaptiveAudio.player;
-                    container.find('input[name="customHigh"]').val(Math.round((p.customHighVolume ?? 1) * 100));
-                    container.find('input[name="customMid"]').val(Math.round((p.customMidVolume ?? 1) * 100));
-                    container.find('input[name="customLow"]').val(Math.round((p.customLowVolume ?? 1) * 100));
-                }
-
-                if (controls.is(':hidden')) {
-                    debug("Hook: Syncing Custom Mix SlideDown");
-                    controls.stop(true, false).slideDown();
-                }
-            } else {
-                if (!controls.is(':hidden')) {
-                    debug("Hook: Syncing Custom Mix SlideUp");
-                    controls.stop(true, false).slideUp();
-                }
-            }
-        });
+        syncCustomMixToggle(changes.value);
     }
 
     // 2. Global Intensity Sync
     if (setting.key === `${MODULE_ID}.currentIntensity`) {
         if (changes.value === undefined) return;
-        const intensity = changes.value; // 0-100 expected
-        
-        $('.adaptive-audio-intensity').each(function() {
-            const container = $(this);
-            const input = container.find('input[name="intensity"]');
-            const label = container.find('.intensity-value');
-            
-            if (parseInt(input.val()) !== intensity) {
-                input.val(intensity);
-                label.text(`${intensity}%`);
-            }
-        });
+        syncIntensitySliders(changes.value); // 0-100 expected
+    }
+
+    // 2b. Channel Intensity Sync
+    if (setting.key === `${MODULE_ID}.channelIntensities`) {
+        if (changes.value === undefined) return;
+        let intensities = changes.value;
+        if (typeof intensities === "string") {
+            try { intensities = JSON.parse(intensities); } catch (e) { return; }
+        }
+        for (const [channel, intensity] of Object.entries(intensities ?? {})) {
+            syncIntensitySliders(intensity, channel);
+        }
     }
 
     // 3. Custom Volume Sync (High/Mid/Low)
@@ -340,15 +412,107 @@ Hooks.on("updateSetting", (setting, changes, options, userId) => {
     if (customVolMatch) {
         if (changes.value === undefined) return;
         const type = customVolMatch[1]; // "High", "Mid", "Low"
-        // Convert to input name: customHigh, customMid, customLow
-        const inputName = `custom${type}`;
-        const val = Math.round(changes.value * 100);
+        // Convert to layer key: high, mid, low
+        syncCustomSliders({ [type.toLowerCase()]: changes.value });
+    }
+
+    // 4. Custom Volume Sync (named layers)
+    if (setting.key === `${MODULE_ID}.customLayerVolumes`) {
+        if (changes.value === undefined) return;
+        let volumes = changes.value;
+        if (typeof volumes === "string") {
+            try { volumes = JSON.parse(volumes); } catch (e) { return; }
+        }
+        syncCustomSliders(volumes ?? {});
+    }
+});
 
+/**
+ * Update a channel's intensity slider and display in every sidebar instance
+ * @param {number} intensity - 0-100
+ * @param {string} [channel] - Channel id, defaults to the default channel
+ */
+export function syncIntensitySliders(intensity, channel = DEFAULT_CHANNEL) {
+    $(`.adaptive-audio-intensity .intensity-control[data-channel="${channel}"]`).each(function() {
+        const container = $(this);
+        const input = container.find('input[type="range"]');
+        const label = container.find('.intensity-value');
+        
+        if (parseInt(input.val()) !== intensity) {
+            input.val(intensity);
+        }
+        label.text(`${intensity}%`);
+    });
+}
+
+/**
+ * Start the Custom Mix from what intensity mixing plays right now, so switching it on does not jump
+ * Sets every layer's custom volume on the player (reaching players like a slider move) and in the sidebar.
+ * @param {AdaptiveAudioPlayer} player
+ * @param {number} [intensity] - 0.0 to 1.0, defaults to the default channel's intensity
+ * @returns {Object<string, number>} - The seeded volumes by layer key
+ */
+export function seedCustomVolumes(player, intensity = player.getIntensity(DEFAULT_CHANNEL)) {
+    // The mix layers are listed highest first, the mix curves expect lowest first
+    const volumes = player.calculateLayerVolumes([...player.getMixLayers()].reverse(), intensity);
+    for (const [key, volume] of Object.entries(volumes)) {
+        player.setCustomVolume(key, volume);
+    }
+    syncCustomSliders(volumes);
+    return volumes;
+}
+
+/**
+ * Update Custom Mix sliders in every sidebar instance
+ * @param {Object<string, number>} volumes - layer key -> volume (0-1)
+ */
+export function syncCustomSliders(volumes) {
+    for (const [key, volume] of Object.entries(volumes)) {
+        const val = Math.round(volume * 100);
         $('.adaptive-audio-intensity').each(function() {
-             const input = $(this).find(`input[name="${inputName}"]`);
-             if (parseInt(input.val()) !== val) {
+             const input = $(this).find(`input[name="customLayer"][data-layer="${key}"]`);
+             if (input.length && parseInt(input.val()) !== val) {
                  input.val(val);
              }
         });
     }
-});
+}
+
+/**
+ * Tick the Custom Mix checkbox and show or hide its sliders in every sidebar instance
+ * @param {boolean} enabled
+ */
+export function syncCustomMixToggle(enabled) {
+    $('.adaptive-audio-intensity').each(function() {
+        const container = $(this);
+        const checkbox = container.find('input[name="customMix"]');
+        const controls = container.find('.custom-mix-controls');
+        
+        // Sync Checkbox
+        if (checkbox.prop('checked') !== enabled) {
+            checkbox.prop('checked', enabled);
+        }
+        
+        // Sync Visibility
+        // Only intervene if state doesn't match target
+        if (enabled) {
+            // Populate values from player state (if available) before showing
+            if (game.adaptiveAudio?.player) {
+                const p = game.adaptiveAudio.player;
+                container.find('input[name="customLayer"]').each(function() {
+                    $(this).val(Math.round(p.getCustomVolume(this.dataset.layer) * 100));
+                });
+            }
+
+            if (controls.is(':hidden')) {
+                debug("Syncing Custom Mix SlideDown");
+                controls.stop(true, false).slideDown();
+            }
+        } else {
+            if (!controls.is(':hidden')) {
+                debug("Syncing Custom Mix SlideUp");
+                controls.stop(true, false).slideUp();
+            }
+        }
+    });
+}
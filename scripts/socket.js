@@ -0,0 +1,182 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { syncCustomSliders, syncIntensitySliders } from "./sidebarIntensity.js";
+
+/**
+ * Socket channel for this module (requires "socket": true in module.json)
+ */
+export const SOCKET_NAME = `module.${MODULE_ID}`;
+
+/**
+ * Minimum time (ms) between live messages while a slider is being dragged
+ */
+const BROADCAST_INTERVAL = 50;
+
+/**
+ * Time (ms) without changes before the mix is saved to the world settings
+ */
+const PERSIST_DELAY = 500;
+
+/**
+ * Streams live mix changes from the GM to every client over the module socket
+ * Slider gestures are broadcast at interactive rates and only written to the world settings once they settle,
+ * so dragging a slider no longer produces a database write per pixel.
+ */
+export class IntensitySync {
+    /**
+     * @param {AdaptiveAudioPlayer} player
+     */
+    constructor(player) {
+        this.player = player;
+
+        // Latest unsent payload per message type
+        this._outgoing = new Map();
+        this._broadcastTimeout = null;
+
+        // Changes not yet written to the world settings
+        this._unsaved = { intensities: {}, volumes: {}, fades: {} };
+        this._persist = foundry.utils.debounce(() => this._persistMix(), PERSIST_DELAY);
+
+        game.socket.on(SOCKET_NAME, (message) => this._onMessage(message));
+    }
+
+    /**
+     * Send a channel's intensity to all other clients
+     * @param {number} intensity - Value between 0.0 and 1.0
+     * @param {string} channel - Channel id
+     * @param {Object} [options]
+     * @param {boolean} [options.automated=false] - Set by automation, so receivers leave running fades alone
+     */
+    broadcastIntensity(intensity, channel, { automated = false } = {}) {
+        this._queue("intensity", { intensity, channel, automated }, `intensity.${channel}`);
+        this._unsaved.intensities[channel] = intensity;
+        this._persist();
+    }
+
+    /**
+     * Send Custom Mix volumes to all other clients
+     * @param {Object<string, number>} volumes - layer key -> volume (0-1)
+     */
+    broadcastCustomVolumes(volumes) {
+        const pending = this._outgoing.get("customVolumes")?.volumes ?? {};
+        this._queue("customVolumes", { volumes: { ...pending, ...volumes } });
+        Object.assign(this._unsaved.volumes, volumes);
+        this._persist();
+    }
+
+    /**
+     * Save a channel's intensity once it settles, without sending it (e.g. the end of a fade every client ran)
+     * @param {number} intensity - Value between 0.0 and 1.0
+     * @param {string} channel - Channel id
+     */
+    persistIntensity(intensity, channel) {
+        this._unsaved.intensities[channel] = intensity;
+        this._persist();
+    }
+
+    /**
+     * Record (or clear) the fade running on a channel for late joiners, written with the rest of the settled mix
+     * A fade that starts and ends before the write never reaches the world settings.
+     * @param {string} channel - Channel id
+     * @param {Object|null} fade
+     */
+    storeFade(channel, fade) {
+        this._unsaved.fades[channel] = fade;
+        this._persist();
+    }
+
+    /**
+     * Send a fade envelope to all other clients, which run it locally
+     * @param {{from: number, to: number, duration: number, easing: string, startedAt: number}} fade
+     */
+    broadcastFade(fade) {
+        // A fade supersedes any live intensity still waiting to go out on its channel
+        this._outgoing.delete(`intensity.${fade.channel}`);
+        this._queue("fade", { fade }, `fade.${fade.channel}`);
+    }
+
+    /**
+     * Send an impulse to all other clients, which run it locally
+     * @param {{channel: string, amount: number, duration: number, curve: string, startedAt: number}} impulse
+     */
+    broadcastImpulse(impulse) {
+        // Impulses stack, so each one goes out on its own instead of replacing the previous
+        this._queue("impulse", { impulse }, `impulse.${impulse.startedAt}.${foundry.utils.randomID()}`);
+    }
+
+    /**
+     * Tell the active GM that this GM started a combat (Foundry only calls combatStart on the starting client)
+     * @param {Combat} combat
+     */
+    relayCombatStart(combat) {
+        this._queue("combatStart", { combatId: combat.id }, `combatStart.${combat.id}`);
+    }
+
+    /**
+     * Queue a message, sending at most one per key every BROADCAST_INTERVAL
+     * The latest value always goes out, so the final position of a gesture is never dropped.
+     * @param {string} type
+     * @param {Object} payload
+     * @param {string} [key=type] - Messages sharing a key replace each other while queued
+     * @private
+     */
+    _queue(type, payload, key = type) {
+        this._outgoing.set(key, { type, ...payload });
+        if (!this._broadcastTimeout) this._flush();
+    }
+
+    /**
+     * @private
+     */
+    _flush() {
+        this._broadcastTimeout = null;
+        if (!this._outgoing.size) return;
+
+        for (const message of this._outgoing.values()) {
+            game.socket.emit(SOCKET_NAME, { userId: game.user.id, ...message });
+        }
+        this._outgoing.clear();
+
+        this._broadcastTimeout = setTimeout(() => this._flush(), BROADCAST_INTERVAL);
+    }
+
+    /**
+     * Write the settled mix to the world settings (the source of truth for reloads and late joiners)
+     * @private
+     */
+    _persistMix() {
+        const { intensities, volumes, fades } = this._unsaved;
+        this._unsaved = { intensities: {}, volumes: {}, fades: {} };
+        debug("Persisting settled mix", intensities, volumes, fades);
+        this.player.persistMix({ intensities, volumes, fades });
+    }
+
+    /**
+     * Handle a message from another client
+     * @param {Object} message
+     * @private
+     */
+    _onMessage(message) {
+        // Only the GM drives the mix
+        if (!game.users.get(message?.userId)?.isGM) return;
+
+        switch (message.type) {
+            case "intensity":
+                this.player.receiveIntensity(message.intensity, message.channel, { automated: !!message.automated });
+                syncIntensitySliders(Math.round(message.intensity * 100), message.channel);
+                break;
+            case "fade":
+                this.player._runFade(message.fade, true);
+                break;
+            case "impulse":
+                this.player._runImpulse(message.impulse);
+                break;
+            case "customVolumes":
+                this.player.receiveCustomVolumes(message.volumes);
+                syncCustomSliders(message.volumes);
+                break;
+            case "combatStart":
+                if (this.player._isActiveGM()) this.player.triggerRules.onCombatStart(game.combats.get(message.combatId));
+                break;
+        }
+    }
+}
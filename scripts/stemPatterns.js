@@ -0,0 +1,219 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { DEFAULT_BASE_LAYER_NAME } from "./layers.js";
+
+/**
+ * Stem naming patterns: derive every layer of a sound from the file picked as its top layer
+ * A pattern is {id, name, enabled, pathIncludes, main, layers: [{name, template}], topName, nameFromFolder}:
+ *   main         - file name template of the top layer, e.g. "{base}_high.{ext}"
+ *   layers       - templates of the layers below it, lowest first, e.g. "{base}_low.{ext}"
+ *   pathIncludes - optional text the full path must contain (e.g. the vendor's folder)
+ * `{base}` stands for any part of the file name and `{ext}` for its extension; derived files sit in the same folder.
+ * Built-in patterns can be switched off in the Stem Naming Patterns menu, GM-defined ones live in the `stemPatterns` setting.
+ */
+
+/**
+ * Patterns shipped with the module, tried after the GM's own
+ * Their names are localization keys, see stemPatternName.
+ */
+export const BUILTIN_STEM_PATTERNS = [
+    {
+        id: "ovani",
+        name: `${MODULE_ID}.stemPatterns.builtin.ovani`,
+        pathIncludes: "Ovani",
+        main: "{base}Main.{ext}",
+        layers: [
+            { name: "Low", template: "{base}Intensity 1.{ext}" },
+            { name: "Mid", template: "{base}Intensity 2.{ext}" }
+        ],
+        topName: DEFAULT_BASE_LAYER_NAME,
+        nameFromFolder: true
+    },
+    {
+        id: "lowMidHigh",
+        name: `${MODULE_ID}.stemPatterns.builtin.lowMidHigh`,
+        pathIncludes: "",
+        main: "{base}_high.{ext}",
+        layers: [
+            { name: "Low", template: "{base}_low.{ext}" },
+            { name: "Mid", template: "{base}_mid.{ext}" }
+        ],
+        topName: DEFAULT_BASE_LAYER_NAME,
+        nameFromFolder: false
+    },
+    {
+        id: "numbered",
+        name: `${MODULE_ID}.stemPatterns.builtin.numbered`,
+        pathIncludes: "",
+        main: "{base}Layer3.{ext}",
+        layers: [
+            { name: "Layer 1", template: "{base}Layer1.{ext}" },
+            { name: "Layer 2", template: "{base}Layer2.{ext}" }
+        ],
+        topName: "Layer 3",
+        nameFromFolder: false
+    },
+    {
+        id: "lettered",
+        name: `${MODULE_ID}.stemPatterns.builtin.lettered`,
+        pathIncludes: "",
+        main: "{base}_stem_C.{ext}",
+        layers: [
+            { name: "Stem A", template: "{base}_stem_A.{ext}" },
+            { name: "Stem B", template: "{base}_stem_B.{ext}" }
+        ],
+        topName: "Stem C",
+        nameFromFolder: false
+    }
+];
+
+/**
+ * Display name of a pattern (built-in names are localized, the GM's own are shown as typed)
+ * @param {Object} pattern
+ * @returns {string}
+ */
+export function stemPatternName(pattern) {
+    return game.i18n.localize(pattern.name ?? "");
+}
+
+/**
+ * Every enabled pattern, the GM's own first
+ * @returns {Object[]}
+ */
+export function getStemPatterns() {
+    const disabled = new Set(game.settings.get(MODULE_ID, "disabledStemPatterns") ?? []);
+    const custom = (game.settings.get(MODULE_ID, "stemPatterns") ?? []).filter(p => p.enabled !== false && p.main);
+    return [...custom, ...BUILTIN_STEM_PATTERNS.filter(p => !disabled.has(p.id))];
+}
+
+/**
+ * Parse "Name=template" lines into layer templates
+ * @param {string} text
+ * @returns {Array<{name: string, template: string}>}
+ */
+export function parseLayerTemplates(text) {
+    return String(text ?? "").split(/\r?\n/).map(line => line.trim()).filter(Boolean).map((line, i) => {
+        const eq = line.indexOf("=");
+        if (eq < 0) return { name: `Layer ${i + 1}`, template: line };
+        return { name: line.slice(0, eq).trim() || `Layer ${i + 1}`, template: line.slice(eq + 1).trim() };
+    }).filter(layer => layer.template);
+}
+
+/**
+ * Format layer templates as "Name=template" lines
+ * @param {Array<{name: string, template: string}>} layers
+ * @returns {string}
+ */
+export function formatLayerTemplates(layers) {
+    return (layers ?? []).map(layer => `${layer.name}=${layer.template}`).join("\n");
+}
+
+/**
+ * Turn a file name template into a case-insensitive regular expression
+ * @param {string} template
+ * @returns {RegExp}
+ */
+function templateToRegExp(template) {
+    const source = template.split(/(\{base\}|\{ext\})/).map(part => {
+        if (part === "{base}") return "(?<base>.+?)";
+        if (part === "{ext}") return "(?<ext>[^./]+)";
+        return part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }).join("");
+    return new RegExp(`^${source}$`, "i");
+}
+
+/**
+ * File names of a pattern's layers for a top layer file, without checking they exist
+ * @param {Object} pattern
+ * @param {string} path - Top layer path, URL-encoded or not
+ * @returns {{folder: string, layers: Array<{name: string, file: string}>}|null} - null when the pattern does not match
+ */
+export function deriveStemFiles(pattern, path) {
+    try {
+        path = decodeURIComponent(path);
+    } catch (e) {}
+
+    if (pattern.pathIncludes && !path.toLowerCase().includes(pattern.pathIncludes.toLowerCase())) return null;
+
+    const slash = path.lastIndexOf("/");
+    const folder = slash >= 0 ? path.slice(0, slash) : "";
+    const fileName = path.slice(slash + 1);
+
+    const match = fileName.match(templateToRegExp(pattern.main));
+    if (!match) return null;
+
+    const { base = "", ext = "" } = match.groups ?? {};
+    return {
+        folder,
+        layers: pattern.layers.map(layer => ({
+            name: layer.name,
+            file: layer.template.replaceAll("{base}", base).replaceAll("{ext}", ext)
+        }))
+    };
+}
+
+/**
+ * List a folder's files with FilePicker.browse
+ * @param {string} folder - Decoded folder path
+ * @returns {Promise<string[]|null>} - File paths, or null when the folder cannot be browsed
+ */
+async function browseFolder(folder) {
+    const s3 = FilePicker.matchS3URL?.(folder);
+    const attempts = s3
+        ? [["s3", s3.groups.key, { bucket: s3.groups.bucket }]]
+        : [["data", folder, {}], ["public", folder, {}]];
+
+    for (const [source, target, options] of attempts) {
+        try {
+            const result = await FilePicker.browse(source, target, options);
+            if (result?.files) return result.files;
+        } catch (err) {
+            debug(`Cannot browse "${target}" in ${source}:`, err);
+        }
+    }
+    return null;
+}
+
+/**
+ * Name of a file path's last segment, decoded and lower-cased for comparison
+ * @param {string} path
+ * @returns {string}
+ */
+function fileKey(path) {
+    let name = path.slice(path.lastIndexOf("/") + 1);
+    try {
+        name = decodeURIComponent(name);
+    } catch (e) {}
+    return name.toLowerCase();
+}
+
+/**
+ * Find the first enabled pattern whose layer files all exist next to the top layer file
+ * @param {string} path - Top layer path
+ * @returns {Promise<{pattern: Object, layers: Array<{name: string, path: string}>}|{pattern: Object, missing: string[]}|null>}
+ *   The layers to fill (paths as returned by the file browser), or the first matching pattern's missing files, or null when no pattern matches
+ */
+export async function detectStemLayers(path) {
+    if (!path) return null;
+
+    let firstMissing = null;
+    const listings = new Map();
+
+    for (const pattern of getStemPatterns()) {
+        const derived = deriveStemFiles(pattern, path);
+        if (!derived?.layers.length) continue;
+        debug(`Stem pattern "${pattern.name}" matches, checking`, derived);
+
+        if (!listings.has(derived.folder)) listings.set(derived.folder, await browseFolder(derived.folder));
+        const files = listings.get(derived.folder);
+        if (!files) return { pattern, missing: derived.layers.map(layer => layer.file) };
+
+        // Match case-insensitively and keep the file's real name and encoding
+        const byName = new Map(files.map(file => [fileKey(file), file]));
+        const layers = derived.layers.map(layer => ({ name: layer.name, path: byName.get(layer.file.toLowerCase()) ?? null }));
+        const missing = derived.layers.filter((layer, i) => !layers[i].path).map(layer => layer.file);
+
+        if (!missing.length) return { pattern, layers };
+        firstMissing ??= { pattern, missing };
+    }
+    return firstMissing;
+}
@@ -0,0 +1,335 @@
+import { MODULE_ID, debug } from "./settings.js";
+import { DEFAULT_CHANNEL } from "./channels.js";
+import { hpFraction } from "./combatIntensity.js";
+
+/**
+ * Trigger rules pair a game event with a mix action. They are stored in the `triggerRules`
+ * world setting and edited in the Trigger Rules config app:
+ *   {
+ *     id, name, enabled,
+ *     event:  { type, threshold, actorId, sceneId, onResume },
+ *     action: { type, intensity, amount, duration, curve, channel, volumes, soundUuid }
+ *   }
+ * Only the fields used by the chosen event and action types are meaningful.
+ */
+
+/**
+ * Events a rule can react to, labelled with localization keys
+ * `fields` lists the event options the config app shows for each type.
+ */
+export const TRIGGER_EVENTS = {
+    hpBelow: { label: `${MODULE_ID}.triggerRules.events.hpBelow`, fields: ["threshold", "actorId"] },
+    tokenDies: { label: `${MODULE_ID}.triggerRules.events.tokenDies`, fields: ["actorId"] },
+    turnStart: { label: `${MODULE_ID}.triggerRules.events.turnStart`, fields: ["actorId"] },
+    criticalRoll: { label: `${MODULE_ID}.triggerRules.events.criticalRoll`, fields: ["actorId"] },
+    sceneActivate: { label: `${MODULE_ID}.triggerRules.events.sceneActivate`, fields: ["sceneId"] },
+    gamePause: { label: `${MODULE_ID}.triggerRules.events.gamePause`, fields: ["onResume"] },
+    combatStart: { label: `${MODULE_ID}.triggerRules.events.combatStart`, fields: [] },
+    combatEnd: { label: `${MODULE_ID}.triggerRules.events.combatEnd`, fields: [] }
+};
+
+/**
+ * Actions a rule can run, labelled with localization keys
+ * `fields` lists the action options the config app shows for each type.
+ */
+export const TRIGGER_ACTIONS = {
+    fade: { label: `${MODULE_ID}.triggerRules.actions.fade`, fields: ["intensity", "duration", "channel"] },
+    impulse: { label: `${MODULE_ID}.triggerRules.actions.impulse`, fields: ["amount", "duration", "channel", "curve"] },
+    customMix: { label: `${MODULE_ID}.triggerRules.actions.customMix`, fields: ["volumes"] },
+    playSound: { label: `${MODULE_ID}.triggerRules.actions.playSound`, fields: ["soundUuid"] },
+    stopSound: { label: `${MODULE_ID}.triggerRules.actions.stopSound`, fields: ["soundUuid"] }
+};
+
+/**
+ * Window (ms) in which the same rule does not fire twice for the same actor
+ * A death is reported both by the HP change and by the combatant being marked defeated.
+ */
+const REFIRE_WINDOW = 2000;
+
+/**
+ * Read the stored rule list
+ * @returns {Object[]}
+ */
+export function getTriggerRules() {
+    const rules = game.settings.get(MODULE_ID, "triggerRules");
+    return Array.isArray(rules) ? rules : Object.values(rules ?? {});
+}
+
+/**
+ * Parse a custom mix written as "low=20, strings=80" (percentages) into layer volumes
+ * @param {string} text
+ * @returns {Object<string, number>} - layer key -> volume (0-1)
+ */
+export function parseMixVolumes(text) {
+    const volumes = {};
+    for (const part of String(text ?? "").split(",")) {
+        const [key, value] = part.split("=").map(s => s?.trim());
+        const percent = Number(value);
+        if (key && Number.isFinite(percent)) volumes[key.toLowerCase()] = Math.max(0, Math.min(100, percent)) / 100;
+    }
+    return volumes;
+}
+
+/**
+ * Runs trigger rules from Foundry hooks
+ * Rules only run on the active GM; their actions reach every client through the player
+ * (fadeTo and Custom Mix broadcasts, and sound document updates that every client plays).
+ * Also hosts the automatic combat start/end behavior controlled by the combat settings.
+ */
+export class TriggerRules {
+    /**
+     * @param {AdaptiveAudioPlayer} player
+     */
+    constructor(player) {
+        this.player = player;
+
+        // Last seen HP fraction per actor, to detect a threshold being crossed
+        this.hpCache = new Map();
+        this.lastFired = new Map();
+        for (const actor of game.actors) {
+            const hp = hpFraction(actor);
+            if (hp !== null) this.hpCache.set(actor.uuid, hp);
+        }
+
+        this._setupHooks();
+    }
+
+    /**
+     * @private
+     */
+    _setupHooks() {
+        Hooks.on("updateActor", (actor) => this._onActorUpdate(actor));
+
+        Hooks.on("updateCombatant", (combatant, changes) => {
+            if (changes.defeated === true && combatant.actor) this.fire("tokenDies", { actor: combatant.actor });
+        });
+
+        Hooks.on("updateCombat", (combat, changes) => {
+            if (!("turn" in changes) && !("round" in changes)) return;
+            const actor = combat.combatant?.actor;
+            if (actor) this.fire("turnStart", { actor });
+        });
+
+        Hooks.on("createChatMessage", (message) => {
+            if (!message.rolls?.some(roll => this._isCritical(roll))) return;
+            const actor = ChatMessage.getSpeakerActor(message.speaker);
+            this.fire("criticalRoll", { actor });
+        });
+
+        Hooks.on("updateScene", (scene, changes) => {
+            if (changes.active === true) this.fire("sceneActivate", { scene });
+        });
+
+        Hooks.on("pauseGame", (paused) => this.fire("gamePause", { paused }));
+
+        // combatStart only fires on the client that started the combat, so another GM relays it to the active one
+        Hooks.on("combatStart", (combat) => {
+            if (this.player._isActiveGM()) this.onCombatStart(combat);
+            else if (game.user.isGM) this.player.sync.relayCombatStart(combat);
+        });
+
+        Hooks.on("deleteCombat", (combat) => {
+            // Only the LAST combat ending counts
+            const otherActiveCombats = game.combats.filter(c => c.started && c.id !== combat.id);
+            if (otherActiveCombats.length > 0) {
+                debug("Combat ended, but other combats remain active. Keeping combat intensity.");
+                return;
+            }
+            this._autoCombatEnd();
+            this.fire("combatEnd", { combat });
+        });
+    }
+
+    /**
+     * Combat started (on this client or relayed by another GM)
+     * The automatic combat behavior runs first, so rules on the same event have the final say.
+     * @param {Combat} combat
+     */
+    onCombatStart(combat) {
+        if (!combat) return;
+        this._autoCombatStart(combat);
+        this.fire("combatStart", { combat });
+    }
+
+    /**
+     * Run every enabled rule listening to an event
+     * @param {string} type - Key of TRIGGER_EVENTS
+     * @param {Object} [context] - Event details (actor, scene, paused, ...)
+     */
+    fire(type, context = {}) {
+        if (!this.player._isActiveGM()) return;
+
+        for (const rule of getTriggerRules()) {
+            if (!rule.enabled || rule.event?.type !== type) continue;
+            if (!this._matches(rule, context)) continue;
+
+            // Debounce duplicate reports of the same occurrence
+            const key = `${rule.id}.${context.actor?.uuid ?? ""}`;
+            const now = Date.now();
+            if (now - (this.lastFired.get(key) ?? 0) < REFIRE_WINDOW) continue;
+            this.lastFired.set(key, now);
+
+            debug(`Trigger rule "${rule.name}" fired on ${type}`);
+            this.runAction(rule.action).catch(err => {
+                console.error(`${MODULE_ID} | Trigger rule "${rule.name}" failed:`, err);
+            });
+        }
+    }
+
+    /**
+     * Check a rule's event options against an event
+     * @param {Object} rule
+     * @param {Object} context
+     * @returns {boolean}
+     * @private
+     */
+    _matches(rule, context) {
+        const { event } = rule;
+
+        // Actor filters match the base actor, so they also cover unlinked tokens of it
+        if (event.actorId) {
+            const actor = context.actor;
+            const baseId = actor?.isToken ? actor.token?.actorId : actor?.id;
+            if (baseId !== event.actorId) return false;
+        }
+
+        switch (event.type) {
+            case "hpBelow":
+                return context.crossed?.(Number(event.threshold ?? 50) / 100) ?? false;
+            case "turnStart":
+                return !!event.actorId;
+            case "sceneActivate":
+                return !event.sceneId || context.scene?.id === event.sceneId;
+            case "gamePause":
+                return event.onResume ? !context.paused : !!context.paused;
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Run a rule action
+     * @param {Object} action
+     */
+    async runAction(action) {
+        const player = this.player;
+
+        switch (action?.type) {
+            case "fade": {
+                const intensity = Math.max(0, Math.min(100, Number(action.intensity ?? 50))) / 100;
+                const duration = Math.max(0, Number(action.duration ?? 2)) * 1000;
+                player.fadeTo(intensity, duration, true, { channel: action.channel || DEFAULT_CHANNEL });
+                break;
+            }
+            case "impulse": {
+                const amount = Math.max(0, Math.min(100, Number(action.amount ?? 30))) / 100;
+                const duration = Math.max(0, Number(action.duration ?? 2)) * 1000;
+                player.impulse(amount, duration, { curve: action.curve || "exponential", channel: action.channel || DEFAULT_CHANNEL });
+                break;
+            }
+            case "customMix": {
+                const volumes = parseMixVolumes(action.volumes);
+                if (!player.customMixEnabled) player.setCustomMixEnabled(true);
+                for (const [key, volume] of Object.entries(volumes)) player.setCustomVolume(key, volume);
+                break;
+            }
+            case "playSound": {
+                // Through the document, so every client starts it via _playAdaptiveSound
+                const sound = await fromUuid(action.soundUuid);
+                if (sound && !sound.playing) await sound.parent.playSound(sound);
+                break;
+            }
+            case "stopSound": {
+                const sound = await fromUuid(action.soundUuid);
+                if (sound && (sound.playing || player.playingSounds.has(sound.id))) {
+                    await sound.update({ playing: false, pausedTime: null });
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * Detect HP threshold crossings and deaths from an actor update
+     * @param {Actor} actor
+     * @private
+     */
+    _onActorUpdate(actor) {
+        const hp = hpFraction(actor);
+        if (hp === null) return;
+
+        const previous = this.hpCache.get(actor.uuid) ?? 1;
+        this.hpCache.set(actor.uuid, hp);
+        if (hp >= previous) return;
+
+        this.fire("hpBelow", { actor, crossed: (threshold) => previous >= threshold && hp < threshold });
+        if (hp === 0) this.fire("tokenDies", { actor });
+    }
+
+    /**
+     * Whether a roll is a critical: the system's own flag, else a natural maximum on a d20
+     * @param {Roll} roll
+     * @returns {boolean}
+     * @private
+     */
+    _isCritical(roll) {
+        if (typeof roll.isCritical === "boolean") return roll.isCritical;
+        return roll.dice.some(die => die.faces === 20 && die.results.some(r => r.active && r.result === 20));
+    }
+
+    /**
+     * Automatic combat intensity when combat starts (Auto-Set Combat Intensity)
+     * @param {Combat} combat
+     * @private
+     */
+    _autoCombatStart(combat) {
+        const player = this.player;
+        if (!game.settings.get(MODULE_ID, "autoSetCombatIntensity")) return;
+        if (!player._isActiveGM()) return;
+
+        // Store current intensity ONLY if we aren't already tracking a combat session (first combat started)
+        // This prevents overwriting the restore point if a second combat starts
+        if (player.preCombatIntensity === null) {
+            player.preCombatIntensity = player.intensity;
+            player.userOverrideDuringCombat = false;
+        }
+
+        // Dynamic mode follows the combat state from here on
+        if (game.settings.get(MODULE_ID, "combatIntensityMode") === "dynamic") {
+            debug("Combat started, computing dynamic intensity");
+            player.combatIntensity.update(combat);
+            return;
+        }
+
+        const targetIntensity = game.settings.get(MODULE_ID, "combatIntensity") / 100;
+        debug(`Combat started, fading to ${(targetIntensity * 100)}% intensity`);
+
+        // Fade to target over 2 seconds
+        player.fadeTo(targetIntensity, 2000, true); // true = update UI
+    }
+
+    /**
+     * Restore the pre-combat intensity once the last combat ends
+     * @private
+     */
+    _autoCombatEnd() {
+        const player = this.player;
+        if (!game.settings.get(MODULE_ID, "autoSetCombatIntensity")) return;
+        if (!player._isActiveGM()) return;
+
+        debug("All combats ended");
+
+        // Only restore pre-combat intensity if user hasn't overridden
+        if (!player.userOverrideDuringCombat && player.preCombatIntensity !== null) {
+            debug(`Restoring pre-combat intensity: ${(player.preCombatIntensity * 100).toFixed(0)}%`);
+            player.fadeTo(player.preCombatIntensity, 2000, true); // true = update UI
+        } else if (player.userOverrideDuringCombat) {
+            debug(`User overrode intensity during combat, keeping current: ${(player.intensity * 100).toFixed(0)}%`);
+        }
+
+        // Reset combat state
+        player.preCombatIntensity = null;
+        player.userOverrideDuringCombat = false;
+        player.combatIntensity.reset();
+    }
+}